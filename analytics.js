@@ -0,0 +1,1791 @@
+// ============================================
+// 🎲 DICE ANALYTICS CORE
+// Logika analisis tanpa DOM / localStorage, dipakai oleh halaman (script.js) dan CLI (cli.js)
+// ============================================
+
+// Browser: i18n.js sudah dimuat lewat <script>; Node: di-require
+const Translator = typeof DiceI18n !== 'undefined' ? DiceI18n : require('./i18n.js').DiceI18n;
+
+class DiceAnalytics {
+    constructor({ scheme = null, profile = null, markovSettings = {}, analysisWindow = {}, i18n = null } = {}) {
+        this.i18n = i18n || new Translator();
+        this.games = [];
+        this.sessions = [];
+        this.activeSessionId = null;
+        this.schemaVersion = 3;
+        this.diceCount = 9;
+        this.predictors = [];
+        this.binningSchemes = [this.getDefaultScheme(), ...(scheme && scheme.name !== 'Standar' ? [scheme] : [])];
+        this.activeSchemeName = scheme ? scheme.name : 'Standar';
+        this.scoringProfiles = [this.getDefaultProfile(), ...(profile && profile.name !== 'Default' ? [profile] : [])];
+        this.activeProfileName = profile ? profile.name : 'Default';
+        this.markovSettings = { order: 1, alpha: 1, minCount: 5, ...markovSettings };
+        this.analysisWindow = { ...this.getDefaultAnalysisWindow(), ...analysisWindow };
+        this.registerDefaultPredictors();
+    }
+
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    setGames(games) {
+        this.games = games;
+        this.reclassifyGames();
+    }
+
+    getAnalysisGames() {
+        return this.applyAnalysisWindow(this.games);
+    }
+
+    // ============ ANALYSIS WINDOW ============
+    getDefaultAnalysisWindow() {
+        // mode: 'all' (seluruh histori), 'last' (N game terakhir) atau 'range' (rentang timestamp)
+        return { mode: 'all', count: 50, from: '', to: '' };
+    }
+
+    getWindowBound(value, isEnd) {
+        // Tanggal saja = sepanjang hari itu; tanpa detik (format datetime-local) = sepanjang menit itu
+        if (!value) return isEnd ? Infinity : -Infinity;
+        let text = value;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += isEnd ? 'T23:59:59.999' : 'T00:00';
+        else if (isEnd && /T\d{2}:\d{2}$/.test(text)) text += ':59.999';
+        return new Date(text).getTime();
+    }
+
+    validateAnalysisWindow({ mode, count, from, to }) {
+        if (!['all', 'last', 'range'].includes(mode)) return this.t('window.invalidMode');
+        if (mode === 'last' && !(Number.isInteger(count) && count >= 1)) return this.t('window.invalidCount');
+        if (mode === 'range') {
+            const start = this.getWindowBound(from, false);
+            const end = this.getWindowBound(to, true);
+            if (Number.isNaN(start) || Number.isNaN(end)) return this.t('window.invalidDate');
+            if (start > end) return this.t('window.invalidRange');
+        }
+        return null;
+    }
+
+    applyAnalysisWindow(games, { mode, count, from, to } = this.analysisWindow) {
+        if (mode === 'last') return games.slice(-count);
+        if (mode === 'range') {
+            const start = this.getWindowBound(from, false);
+            const end = this.getWindowBound(to, true);
+            return games.filter(game => {
+                const time = new Date(game.timestamp).getTime();
+                return time >= start && time <= end;
+            });
+        }
+        return games;
+    }
+
+    describeAnalysisWindow({ mode, count, from, to } = this.analysisWindow) {
+        if (mode === 'last') return this.t('window.describeLast', { count });
+        if (mode === 'range') {
+            const format = (value) => value ? value.replace('T', ' ') : '…';
+            return this.t('window.describeRange', { from: format(from), to: format(to) });
+        }
+        return this.t('window.describeAll');
+    }
+
+    getWindowSummary(games) {
+        // Ringkasan satu jendela untuk tampilan perbandingan; nilai null kalau jendela kosong
+        if (games.length === 0) {
+            return { totalGames: 0, from: null, to: null, avgRoll1: null, avgRoll2: null, kecilRate: null, trendDominant: null, stateShares: {}, prediction: null };
+        }
+
+        const stats = this.getSummaryStats(games);
+        const frequency = this.getClassificationFrequency(games);
+        const stateShares = {};
+        Object.entries(this.getStateDominance(games)).forEach(([state, count]) => {
+            stateShares[state] = count / games.length;
+        });
+        const prediction = this.predictNextOutcome(games);
+
+        return {
+            totalGames: games.length,
+            from: games[0].timestamp,
+            to: games[games.length - 1].timestamp,
+            avgRoll1: stats.avgRoll1,
+            avgRoll2: stats.avgRoll2,
+            kecilRate: frequency.KECIL / games.length,
+            trendDominant: stats.trendDominant,
+            stateShares,
+            prediction: prediction.canPredict ? prediction.KECIL : null
+        };
+    }
+
+    compareAnalysisWindows(games, windowA, windowB) {
+        return {
+            a: this.getWindowSummary(this.applyAnalysisWindow(games, windowA)),
+            b: this.getWindowSummary(this.applyAnalysisWindow(games, windowB))
+        };
+    }
+
+    // ============ STATE DETECTION ============
+    getState(roll) {
+        const band = this.getActiveScheme().bands.find(b => roll >= b.min && roll <= b.max);
+        return band ? band.name : 'UNKNOWN';
+    }
+
+    getStates() {
+        return this.getActiveScheme().bands.map(b => b.name);
+    }
+
+    getClassification(roll) {
+        return roll <= this.getActiveScheme().threshold ? 'KECIL' : 'BESAR';
+    }
+
+    getStateKecilShares() {
+        // Porsi KECIL tiap state menurut distribusi 9d6; state yang melintasi ambang K/B dibagi proporsional
+        const probabilities = this.getTotalProbabilities();
+        const { threshold } = this.getActiveScheme();
+        const shares = {};
+
+        this.getActiveScheme().bands.forEach(band => {
+            let kecil = 0, total = 0, kecilTotals = 0;
+            for (let t = band.min; t <= band.max; t++) {
+                total += probabilities[t];
+                if (t <= threshold) {
+                    kecil += probabilities[t];
+                    kecilTotals++;
+                }
+            }
+            shares[band.name] = total > 0 ? kecil / total : kecilTotals / (band.max - band.min + 1);
+        });
+
+        return shares;
+    }
+
+    // ============ NUMERIC TREND ============
+    calculateTrend(roll1, roll2) {
+        const diff = roll2 - roll1;
+        if (diff > 0) return { direction: 'naik', diff };
+        if (diff < 0) return { direction: 'turun', diff };
+        return { direction: 'stabil', diff };
+    }
+
+    // ============ GAME RECORDS ============
+    isValidFace(face) {
+        return Number.isInteger(face) && face >= 1 && face <= 6;
+    }
+
+    sumFaces(faces) {
+        return faces.reduce((a, b) => a + b, 0);
+    }
+
+    parseFaces(value) {
+        // JSON menyimpan array, CSV menyimpan "1-2-3-..."
+        if (value === undefined || value === null || value === '') return null;
+        const faces = Array.isArray(value) ? value.map(Number) : String(value).split('-').map(Number);
+        if (faces.length !== this.diceCount || !faces.every(face => this.isValidFace(face))) return undefined;
+        return faces;
+    }
+
+    isValidRoll(roll) {
+        return Number.isInteger(roll) && roll >= 6 && roll <= 54;
+    }
+
+    getNextGameId(reservedIds = []) {
+        // Id baru selalu di atas id terbesar yang ada: id simulasi/batch bisa lebih besar dari Date.now()
+        const maxId = [...this.games.map(g => g.id), ...reservedIds].reduce((max, id) => Math.max(max, id), 0);
+        return Math.max(Date.now(), maxId + 1);
+    }
+
+    createGame(roll1, roll2, { id = this.getNextGameId(), timestamp = new Date(), sessionId = this.activeSessionId, faces1 = null, faces2 = null } = {}) {
+        // Field turunan selalu dihitung ulang dari roll1/roll2
+        const game = {
+            id,
+            sessionId,
+            roll1,
+            roll2,
+            state1: this.getState(roll1),
+            state2: this.getState(roll2),
+            trend: this.calculateTrend(roll1, roll2),
+            classification: this.getClassification(roll2),
+            timestamp
+        };
+        if (faces1 && faces2) {
+            game.faces1 = faces1;
+            game.faces2 = faces2;
+        }
+        return game;
+    }
+
+    parseBulkEntry(text) {
+        // "25 38, 19 44" atau satu game per baris; pemisah antar game: koma, titik koma, baris baru
+        return String(text).split(/[,;\n]/)
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map((entry, i) => {
+                const row = { index: i + 1, text: entry };
+                const parts = entry.split(/\s+/);
+                if (parts.length !== 2 || !parts.every(part => /^\d+$/.test(part))) {
+                    return { ...row, error: this.t('validation.bulkPair') };
+                }
+                const [roll1, roll2] = parts.map(Number);
+                if (!this.isValidRoll(roll1) || !this.isValidRoll(roll2)) {
+                    return { ...row, error: this.t('validation.rollRange') };
+                }
+                return { ...row, roll1, roll2 };
+            });
+    }
+
+    serializeGame(game) {
+        // Hanya input yang disimpan; state, tren dan klasifikasi dihitung ulang saat dimuat
+        const record = {
+            id: game.id,
+            sessionId: game.sessionId,
+            roll1: game.roll1,
+            roll2: game.roll2,
+            timestamp: new Date(game.timestamp).toISOString()
+        };
+        if (game.faces1 && game.faces2) {
+            record.faces1 = game.faces1;
+            record.faces2 = game.faces2;
+        }
+        return record;
+    }
+
+    deserializeGame(record) {
+        // → { game } atau { error } untuk record yang rusak
+        if (!record || typeof record !== 'object') return { error: this.t('record.notObject') };
+
+        const { id, roll1, roll2 } = record;
+        if (!Number.isFinite(id)) return { error: this.t('record.invalidId', { id }) };
+        if (!this.isValidRoll(roll1) || !this.isValidRoll(roll2)) {
+            return { error: this.t('record.invalidRolls', { roll1, roll2 }) };
+        }
+
+        const timestamp = new Date(record.timestamp);
+        if (record.timestamp === undefined || record.timestamp === null || isNaN(timestamp.getTime())) {
+            return { error: this.t('record.invalidTimestamp', { timestamp: record.timestamp }) };
+        }
+
+        const faces1 = this.parseFaces(record.faces1);
+        const faces2 = this.parseFaces(record.faces2);
+        if (faces1 === undefined || faces2 === undefined
+            || (faces1 && this.sumFaces(faces1) !== roll1) || (faces2 && this.sumFaces(faces2) !== roll2)) {
+            return { error: this.t('record.invalidFaces') };
+        }
+
+        const sessionId = Number.isFinite(record.sessionId) ? record.sessionId : null;
+        return { game: this.createGame(roll1, roll2, { id, timestamp, sessionId, faces1, faces2 }) };
+    }
+
+    // ============ CHANGES & MERGE ============
+    sortGames(games) {
+        // Penyimpanan tidak menjamin urutan; histori diurutkan menurut waktu
+        return games.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.id - b.id);
+    }
+
+    getChangeOps(change, reverse) {
+        // Setiap perubahan dipecah menjadi put/remove per id game, bukan seluruh histori
+        switch (change.type) {
+            case 'add':
+                return reverse ? { remove: [change.game.id] } : { put: [change.game] };
+            case 'addBatch':
+                return reverse ? { remove: change.games.map(g => g.id) } : { put: change.games };
+            case 'delete':
+                return reverse ? { put: [change.game] } : { remove: [change.game.id] };
+            case 'edit':
+                return { put: [reverse ? change.before : change.after] };
+            case 'replace': {
+                const [from, to] = reverse ? [change.after, change.before] : [change.before, change.after];
+                const previous = new Map(from.map(g => [g.id, JSON.stringify(this.serializeGame(g))]));
+                const nextIds = new Set(to.map(g => g.id));
+                return {
+                    put: to.filter(g => previous.get(g.id) !== JSON.stringify(this.serializeGame(g))),
+                    remove: from.filter(g => !nextIds.has(g.id)).map(g => g.id)
+                };
+            }
+        }
+        return {};
+    }
+
+    applyGameOps({ put = [], remove = [] }) {
+        // Digabung per id: game dari tab lain yang tidak disentuh perubahan ini tetap ada
+        const byId = new Map(this.games.map(g => [g.id, g]));
+        remove.forEach(id => byId.delete(id));
+        put.forEach(game => byId.set(game.id, game));
+        this.games = this.sortGames([...byId.values()]);
+    }
+
+    snapshotList(list) {
+        // id → JSON: dasar perbandingan untuk mergeStoredList
+        return new Map(list.map(item => [item.id, JSON.stringify(item)]));
+    }
+
+    mergeStoredList(stored, base, local) {
+        // Gabung tiga arah per id antara isi penyimpanan saat ini, isi saat terakhir dibaca/ditulis tab ini (base)
+        // dan memori tab ini: yang diubah atau dihapus tab ini menang, perubahan tab lain tetap dipertahankan
+        const localById = new Map(local.map(item => [item.id, item]));
+        const storedIds = new Set(stored.map(item => item.id));
+        const merged = [];
+        stored.forEach(item => {
+            const mine = localById.get(item.id);
+            if (!mine) {
+                if (!base.has(item.id)) merged.push(item);
+                return;
+            }
+            const json = JSON.stringify(mine);
+            merged.push(json !== base.get(item.id) || json === JSON.stringify(item) ? mine : item);
+        });
+        // Item baru dari tab ini; item yang ada di base tetapi hilang dari penyimpanan sudah dihapus tab lain
+        local.forEach(item => {
+            if (!storedIds.has(item.id) && !base.has(item.id)) merged.push(item);
+        });
+        return merged;
+    }
+
+    // ============ IMPORT / EXPORT ============
+    toJSON(games) {
+        // Hanya sesi nyata yang dipakai game yang diekspor; sesi simulasi beserta parameternya tidak ikut
+        const sessionIds = new Set(games.map(g => g.sessionId));
+        return JSON.stringify({
+            schemaVersion: this.schemaVersion,
+            exportedAt: new Date().toISOString(),
+            sessions: this.sessions.filter(s => !s.simulated && sessionIds.has(s.id)),
+            games
+        }, null, 2);
+    }
+
+    toCSV(games) {
+        const header = 'id,sessionId,roll1,roll2,timestamp,state1,state2,diff,trend,classification,faces1,faces2';
+        const rows = games.map(g => [
+            g.id,
+            g.sessionId,
+            g.roll1,
+            g.roll2,
+            new Date(g.timestamp).toISOString(),
+            g.state1,
+            g.state2,
+            g.trend.diff,
+            g.trend.direction,
+            g.classification,
+            g.faces1 ? g.faces1.join('-') : '',
+            g.faces2 ? g.faces2.join('-') : ''
+        ].join(','));
+        return [`# schemaVersion=${this.schemaVersion}`, header, ...rows].join('\n');
+    }
+
+    parseImport(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            return this.migrateImport(JSON.parse(trimmed));
+        }
+        return this.migrateImport(this.parseCSV(trimmed));
+    }
+
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        let schemaVersion = 1;
+
+        if (lines.length > 0 && lines[0].startsWith('#')) {
+            const match = lines.shift().match(/schemaVersion\s*=\s*(\d+)/);
+            if (match) schemaVersion = parseInt(match[1]);
+        }
+        if (lines.length === 0) return { schemaVersion, sessions: [], games: [] };
+
+        const unquote = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+        const header = lines.shift().split(',').map(unquote);
+        if (!header.includes('roll1') || !header.includes('roll2')) {
+            throw new Error(this.t('import.csvHeader'));
+        }
+
+        const games = lines.map(line => {
+            const values = line.split(',').map(unquote);
+            const row = {};
+            header.forEach((column, i) => { row[column] = values[i]; });
+            return row;
+        });
+
+        return { schemaVersion, sessions: [], games };
+    }
+
+    migrateImport(data) {
+        // Versi 0: array mentah seperti isi key diceGames di localStorage
+        let migrated = Array.isArray(data) ? { schemaVersion: 0, games: data } : data;
+        if (!migrated || !Array.isArray(migrated.games)) {
+            throw new Error(this.t('import.unknownFormat'));
+        }
+
+        const migrations = {
+            0: (old) => ({ schemaVersion: 1, games: old.games }),
+            // Versi 2 menambah sesi; game tanpa sessionId masuk ke sesi aktif saat impor
+            1: (old) => ({ schemaVersion: 2, sessions: [], games: old.games }),
+            // Versi 3 menambah faces1/faces2 opsional; data lama tetap valid
+            2: (old) => ({ ...old, schemaVersion: 3 })
+        };
+
+        let version = Number(migrated.schemaVersion) || 0;
+        if (version > this.schemaVersion) {
+            throw new Error(this.t('import.newerSchema', { version, supported: this.schemaVersion }));
+        }
+        while (version < this.schemaVersion) {
+            migrated = migrations[version](migrated);
+            version = migrated.schemaVersion;
+        }
+
+        return { sessions: migrated.sessions || [], games: migrated.games };
+    }
+
+    validateImportRows(rows, existingIds) {
+        const games = [];
+        const errors = [];
+        const duplicates = [];
+        const seenIds = new Set(existingIds);
+        // Baris tanpa id diberi id di atas semua id yang ada maupun yang tertulis di file
+        const fileIds = rows.filter(row => row.id !== undefined && row.id !== '').map(row => Number(row.id)).filter(Number.isFinite);
+        let nextId = this.getNextGameId([...seenIds, ...fileIds]);
+
+        rows.forEach((row, idx) => {
+            const rowNumber = idx + 1;
+            const roll1 = Number(row.roll1);
+            const roll2 = Number(row.roll2);
+
+            if (!this.isValidRoll(roll1) || !this.isValidRoll(roll2)) {
+                errors.push(this.t('import.row', { row: rowNumber, error: this.t('record.invalidRolls', { roll1: row.roll1, roll2: row.roll2 }) }));
+                return;
+            }
+
+            let id = row.id !== undefined && row.id !== '' ? Number(row.id) : null;
+            if (id !== null && !Number.isFinite(id)) {
+                errors.push(this.t('import.row', { row: rowNumber, error: this.t('record.invalidId', { id: row.id }) }));
+                return;
+            }
+            if (id !== null && seenIds.has(id)) {
+                duplicates.push(id);
+                return;
+            }
+            if (id === null) {
+                while (seenIds.has(nextId)) nextId++;
+                id = nextId;
+            }
+            seenIds.add(id);
+
+            const parsedTime = row.timestamp ? new Date(row.timestamp) : null;
+            const timestamp = parsedTime && !isNaN(parsedTime.getTime()) ? parsedTime : new Date();
+
+            const parsedSession = row.sessionId !== undefined && row.sessionId !== '' && row.sessionId !== null
+                ? Number(row.sessionId)
+                : NaN;
+            const sessionId = Number.isFinite(parsedSession) ? parsedSession : this.activeSessionId;
+
+            const faces1 = this.parseFaces(row.faces1);
+            const faces2 = this.parseFaces(row.faces2);
+            if (faces1 === undefined || faces2 === undefined
+                || (faces1 && this.sumFaces(faces1) !== roll1) || (faces2 && this.sumFaces(faces2) !== roll2)) {
+                errors.push(this.t('import.row', { row: rowNumber, error: this.t('record.invalidFaces') }));
+                seenIds.delete(id);
+                return;
+            }
+
+            games.push(this.createGame(roll1, roll2, { id, timestamp, sessionId, faces1, faces2 }));
+        });
+
+        return { games, errors, duplicates };
+    }
+
+    // ============ BINNING SCHEMES ============
+    getDefaultScheme() {
+        return {
+            name: 'Standar',
+            bands: [
+                { name: 'LOW', min: 6, max: 18 },
+                { name: 'MID', min: 19, max: 31 },
+                { name: 'HIGH', min: 32, max: 43 },
+                { name: 'EXTREME', min: 44, max: 54 }
+            ],
+            threshold: 31
+        };
+    }
+
+    getActiveScheme() {
+        return this.binningSchemes.find(s => s.name === this.activeSchemeName) || this.getDefaultScheme();
+    }
+
+    reclassifyGames() {
+        this.games = this.games.map(game => ({
+            ...game,
+            state1: this.getState(game.roll1),
+            state2: this.getState(game.roll2),
+            trend: this.calculateTrend(game.roll1, game.roll2),
+            classification: this.getClassification(game.roll2)
+        }));
+    }
+
+    formatBands(bands) {
+        return bands.map(b => `${b.name}:${b.max}`).join(', ');
+    }
+
+    isValidBandName(name) {
+        // Nama band ikut dirender ke HTML dan kelas CSS, jadi dibatasi ke huruf, angka, spasi, _ dan -
+        return typeof name === 'string' && /^[A-Za-z0-9_][A-Za-z0-9 _-]{0,19}$/.test(name);
+    }
+
+    parseBands(text) {
+        // Format: "NAMA:batasAtas, ..." — batas bawah band = batas atas band sebelumnya + 1, mulai dari 6
+        const entries = text.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+        if (entries.length < 2) throw new Error(this.t('bands.minimum'));
+
+        const bands = [];
+        let min = 6;
+        entries.forEach(entry => {
+            const [rawName, rawMax] = entry.split(':');
+            const name = (rawName || '').trim();
+            const max = Number(rawMax);
+
+            if (!name) throw new Error(this.t('bands.emptyName', { entry }));
+            if (!this.isValidBandName(name)) throw new Error(this.t('bands.invalidName', { name }));
+            if (bands.some(b => b.name === name)) throw new Error(this.t('bands.duplicate', { name }));
+            if (!Number.isInteger(max) || max < min || max > 54) {
+                throw new Error(this.t('bands.upperBound', { name, min }));
+            }
+
+            bands.push({ name, min, max });
+            min = max + 1;
+        });
+
+        if (bands[bands.length - 1].max !== 54) throw new Error(this.t('bands.lastEnd'));
+        return bands;
+    }
+
+    // ============ SCORING PROFILES ============
+    getDefaultProfile() {
+        return {
+            name: 'Default',
+            trendWeight: 0.25,
+            stateWeight: 0.30,
+            transitionWeight: 0.25,
+            centerWeight: 0.20,
+            trendFactor: 0.6,
+            center: 30,
+            maxDistance: 24
+        };
+    }
+
+    getActiveProfile() {
+        return this.scoringProfiles.find(p => p.name === this.activeProfileName) || this.getDefaultProfile();
+    }
+
+    validateProfile(profile) {
+        const weights = [profile.trendWeight, profile.stateWeight, profile.transitionWeight, profile.centerWeight];
+        const numbers = [...weights, profile.trendFactor, profile.center, profile.maxDistance];
+
+        if (!profile.name) return this.t('profile.nameRequired');
+        if (profile.name === 'Default') return this.t('profile.defaultReadOnly');
+        if (numbers.some(n => !Number.isFinite(n))) return this.t('profile.notNumber');
+        if (weights.some(w => w < 0)) return this.t('profile.negativeWeight');
+        if (weights.reduce((a, b) => a + b, 0) === 0) return this.t('profile.zeroWeights');
+        if (profile.trendFactor < 0 || profile.trendFactor > 1) return this.t('profile.trendFactorRange');
+        if (profile.maxDistance <= 0) return this.t('profile.maxDistanceRange');
+        return null;
+    }
+
+    // ============ ANALYTICS - NUMERIC TREND ============
+    analyzeTrendDirection(games = this.getAnalysisGames()) {
+        if (games.length === 0) return null;
+
+        let upCount = 0, downCount = 0, stableCount = 0;
+
+        games.forEach(game => {
+            if (game.trend.direction === 'naik') upCount++;
+            else if (game.trend.direction === 'turun') downCount++;
+            else stableCount++;
+        });
+
+        return { upCount, downCount, stableCount };
+    }
+
+    formatDirection(direction) {
+        return this.t(`trend.${direction}`);
+    }
+
+    formatTrendDominant(direction) {
+        return direction ? this.t(`trend.dominant.${direction}`) : '-';
+    }
+
+    formatClassification(classification) {
+        return this.t(`class.${classification}`);
+    }
+
+    getTrendDominant(games = this.getAnalysisGames()) {
+        // Kode arah (naik/turun/stabil), bukan teks tampilan; null kalau belum ada game
+        const trendAnalysis = this.analyzeTrendDirection(games);
+        if (!trendAnalysis) return null;
+
+        if (trendAnalysis.upCount > trendAnalysis.downCount && trendAnalysis.upCount > trendAnalysis.stableCount)
+            return 'naik';
+        if (trendAnalysis.downCount > trendAnalysis.upCount && trendAnalysis.downCount > trendAnalysis.stableCount)
+            return 'turun';
+        return 'stabil';
+    }
+
+    getRollingMean(values, window) {
+        // Rata-rata `window` nilai terakhir s/d indeks i; awal seri memakai nilai yang tersedia
+        let sum = 0;
+        return values.map((value, i) => {
+            sum += value;
+            if (i >= window) sum -= values[i - window];
+            return sum / Math.min(i + 1, window);
+        });
+    }
+
+    getSummaryStats(games = this.getAnalysisGames()) {
+        if (games.length === 0) return { totalGames: 0, avgRoll1: 0, avgRoll2: 0, trendDominant: null };
+
+        return {
+            totalGames: games.length,
+            avgRoll1: games.reduce((sum, g) => sum + g.roll1, 0) / games.length,
+            avgRoll2: games.reduce((sum, g) => sum + g.roll2, 0) / games.length,
+            trendDominant: this.getTrendDominant(games)
+        };
+    }
+
+    // ============ ANALYTICS - STATE TRANSITION ============
+    buildTransitionMatrix(games = this.getAnalysisGames()) {
+        if (games.length < 2) return null;
+
+        const states = this.getStates();
+        const matrix = {};
+
+        states.forEach(from => {
+            matrix[from] = {};
+            states.forEach(to => {
+                matrix[from][to] = 0;
+            });
+        });
+
+        this.getConsecutivePairs(games).forEach(([previous, next]) => {
+            matrix[previous.state2][next.state1]++;
+        });
+
+        return matrix;
+    }
+
+    getConsecutivePairs(games) {
+        // Pasangan game berurutan dalam sesi yang sama; transisi tidak pernah melewati batas sesi
+        const lastBySession = new Map();
+        const pairs = [];
+        games.forEach(game => {
+            if (lastBySession.has(game.sessionId)) pairs.push([lastBySession.get(game.sessionId), game]);
+            lastBySession.set(game.sessionId, game);
+        });
+        return pairs;
+    }
+
+    getStateTransitionProbability(fromState, games = this.getAnalysisGames()) {
+        const matrix = this.buildTransitionMatrix(games);
+        if (!matrix) return null;
+
+        const transitions = matrix[fromState];
+        const total = Object.values(transitions).reduce((a, b) => a + b, 0);
+
+        if (total === 0) return null;
+
+        const probability = {};
+        for (const [toState, count] of Object.entries(transitions)) {
+            probability[toState] = Math.round((count / total) * 100);
+        }
+
+        return probability;
+    }
+
+    // ============ ANALYTICS - MARKOV CHAINS ============
+    getSessionSequences(games) {
+        const sequences = new Map();
+        games.forEach(game => {
+            if (!sequences.has(game.sessionId)) sequences.set(game.sessionId, []);
+            sequences.get(game.sessionId).push(game);
+        });
+        return sequences;
+    }
+
+    createCountRow() {
+        const counts = {};
+        this.getStates().forEach(state => { counts[state] = 0; });
+        return { counts, total: 0 };
+    }
+
+    buildMarkovCounts(games, order = this.markovSettings.order) {
+        // Konteks = state Roll 2 dari `order` game sebelumnya (dalam sesi yang sama), tujuan = state Roll 1 game berikutnya
+        const rows = new Map();
+        this.getSessionSequences(games).forEach(sequence => {
+            for (let i = order; i < sequence.length; i++) {
+                const context = sequence.slice(i - order, i).map(g => g.state2).join(' → ');
+                if (!rows.has(context)) rows.set(context, this.createCountRow());
+                const row = rows.get(context);
+                row.counts[sequence[i].state1]++;
+                row.total++;
+            }
+        });
+        return rows;
+    }
+
+    buildWithinGameCounts(games) {
+        const rows = new Map();
+        this.getStates().forEach(state => rows.set(state, this.createCountRow()));
+        games.forEach(game => {
+            const row = rows.get(game.state1);
+            if (!row) return;
+            row.counts[game.state2]++;
+            row.total++;
+        });
+        return rows;
+    }
+
+    wilsonInterval(count, total, z = 1.96) {
+        if (total === 0) return { lower: 0, upper: 1 };
+        const p = count / total;
+        const denominator = 1 + (z * z) / total;
+        const centre = (p + (z * z) / (2 * total)) / denominator;
+        const margin = (z * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total))) / denominator;
+        return { lower: Math.max(0, centre - margin), upper: Math.min(1, centre + margin) };
+    }
+
+    getSmoothedRow(row, alpha = this.markovSettings.alpha) {
+        // Dirichlet smoothing: (n + α) / (N + αK); α = 0 berarti frekuensi mentah
+        const states = Object.keys(row.counts);
+        const denominator = row.total + alpha * states.length;
+        const cells = {};
+        states.forEach(state => {
+            const count = row.counts[state];
+            cells[state] = {
+                count,
+                // Abu-abu per sel: sel dengan observasi di bawah batas minimal tidak ditampilkan sebagai persentase yakin
+                sparse: count < this.markovSettings.minCount,
+                probability: denominator > 0 ? (count + alpha) / denominator : null,
+                ...this.wilsonInterval(count, row.total)
+            };
+        });
+        return {
+            total: row.total,
+            sparse: row.total < this.markovSettings.minCount,
+            cells
+        };
+    }
+
+    getMarkovContext(games, order = this.markovSettings.order) {
+        if (games.length === 0) return null;
+        const lastSession = games[games.length - 1].sessionId;
+        const sequence = games.filter(g => g.sessionId === lastSession);
+        if (sequence.length < order) return null;
+        return sequence.slice(-order).map(g => g.state2).join(' → ');
+    }
+
+    // ============ ANALYTICS - CLASSIFICATION FREQUENCY ============
+    getClassificationFrequency(games = this.getAnalysisGames()) {
+        if (games.length === 0) return { KECIL: 0, BESAR: 0 };
+
+        let kecilCount = 0, besarCount = 0;
+
+        games.forEach(game => {
+            if (game.classification === 'KECIL') kecilCount++;
+            else besarCount++;
+        });
+
+        return { KECIL: kecilCount, BESAR: besarCount };
+    }
+
+    // ============ ANALYTICS - STATE DOMINANCE ============
+    getStateDominance(games = this.getAnalysisGames()) {
+        if (games.length === 0) return {};
+
+        const stateCounts = {};
+        this.getStates().forEach(state => { stateCounts[state] = 0; });
+
+        games.forEach(game => {
+            stateCounts[game.state2]++;
+        });
+
+        return stateCounts;
+    }
+
+    getLastState(games = this.getAnalysisGames()) {
+        if (games.length === 0) return null;
+        return games[games.length - 1].state2;
+    }
+
+    // ============ PREDICTION LOGIC ============
+    predictNextOutcome(games = this.getAnalysisGames(), profile = this.getActiveProfile()) {
+        if (games.length < 5) {
+            return { canPredict: false, reason: this.t('predictor.minGames', { count: 5 }) };
+        }
+
+        const trendAnalysis = this.analyzeTrendDirection(games);
+        const stateDominance = this.getStateDominance(games);
+        const lastState = this.getLastState(games);
+        const stateTransitionProb = this.getStateTransitionProbability(lastState, games);
+        const classificationFreq = this.getClassificationFrequency(games);
+        const avgRoll2 = games.reduce((sum, g) => sum + g.roll2, 0) / games.length;
+
+        // ============ HYBRID SCORING ============
+        let kecilScore = 0;
+        let besarScore = 0;
+
+        // 1️⃣ Numeric Trend Component
+        const { trendWeight, trendFactor } = profile;
+        if (trendAnalysis.downCount > trendAnalysis.upCount) {
+            kecilScore += trendWeight * trendFactor; // Tren turun → cenderung kecil
+        } else {
+            besarScore += trendWeight * trendFactor;
+        }
+
+        // 2️⃣ State Dominance Component
+        const { stateWeight } = profile;
+        const kecilShares = this.getStateKecilShares();
+        const totalStateCount = Object.values(stateDominance).reduce((a, b) => a + b, 0);
+        const kecilStateCount = Object.entries(stateDominance)
+            .reduce((sum, [state, count]) => sum + count * kecilShares[state], 0);
+        const kecilDominance = kecilStateCount / totalStateCount || 0;
+        const besarDominance = (totalStateCount - kecilStateCount) / totalStateCount || 0;
+
+        kecilScore += stateWeight * kecilDominance;
+        besarScore += stateWeight * besarDominance;
+
+        // 3️⃣ State Transition Component
+        const { transitionWeight } = profile;
+        if (stateTransitionProb) {
+            const kecilTransitionProb = Object.entries(stateTransitionProb)
+                .reduce((sum, [state, percent]) => sum + percent * kecilShares[state], 0) / 100;
+            const besarTransitionProb = Object.entries(stateTransitionProb)
+                .reduce((sum, [state, percent]) => sum + percent * (1 - kecilShares[state]), 0) / 100;
+
+            kecilScore += transitionWeight * kecilTransitionProb;
+            besarScore += transitionWeight * besarTransitionProb;
+        }
+
+        // 4️⃣ Distance from Center Component
+        const { centerWeight, center, maxDistance } = profile;
+        const distanceFromCenter = Math.abs(avgRoll2 - center);
+        const closeness = Math.max(0, 1 - distanceFromCenter / maxDistance);
+
+        if (avgRoll2 < center) {
+            kecilScore += centerWeight * closeness;
+        } else {
+            besarScore += centerWeight * closeness;
+        }
+
+        // ============ NORMALIZATION ============
+        const totalScore = kecilScore + besarScore;
+        const kecilPercent = totalScore > 0 ? Math.round((kecilScore / totalScore) * 100) : 50;
+        const besarPercent = 100 - kecilPercent;
+
+        return {
+            canPredict: true,
+            KECIL: kecilPercent,
+            BESAR: besarPercent,
+            reasoning: {
+                trendDirection: trendAnalysis,
+                stateDominance,
+                lastState,
+                stateTransitionProb,
+                avgRoll2: Math.round(avgRoll2 * 10) / 10,
+                profile
+            }
+        };
+    }
+
+    // ============ STATISTICS HELPERS ============
+    logGamma(x) {
+        // Aproksimasi Lanczos (g = 7, n = 9)
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+            771.32342877765313, -176.61502916214059, 12.507343278686905,
+            -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+        if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
+
+        x -= 1;
+        let a = coefficients[0];
+        const t = x + 7.5;
+        for (let i = 1; i < coefficients.length; i++) {
+            a += coefficients[i] / (x + i);
+        }
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+    }
+
+    regularizedGammaQ(a, x) {
+        // Q(a, x) = 1 - P(a, x): deret untuk x < a + 1, continued fraction untuk sisanya
+        if (x <= 0) return 1;
+        const maxIterations = 500;
+        const epsilon = 1e-14;
+        const logPrefix = -x + a * Math.log(x) - this.logGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < maxIterations; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * epsilon) break;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < maxIterations; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < epsilon) break;
+        }
+        return Math.min(1, Math.exp(logPrefix) * h);
+    }
+
+    chiSquarePValue(statistic, df) {
+        if (df <= 0) return null;
+        return this.regularizedGammaQ(df / 2, statistic / 2);
+    }
+
+    normalTwoSidedPValue(z) {
+        // 2 * (1 - Φ(|z|)) = erfc(|z| / √2) = Q(1/2, z² / 2)
+        return this.regularizedGammaQ(0.5, (z * z) / 2);
+    }
+
+    regularizedBeta(x, a, b) {
+        // I_x(a, b) lewat continued fraction (Lentz)
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        if (x > (a + 1) / (a + b + 2)) return 1 - this.regularizedBeta(1 - x, b, a);
+
+        const maxIterations = 500;
+        const epsilon = 1e-14;
+        const tiny = 1e-300;
+        const logPrefix = this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b)
+            + a * Math.log(x) + b * Math.log(1 - x);
+
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let h = d;
+        for (let m = 1; m < maxIterations; m++) {
+            const m2 = 2 * m;
+            let an = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + an * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            h *= d * c;
+
+            an = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + an * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < epsilon) break;
+        }
+        return Math.exp(logPrefix) * h / a;
+    }
+
+    studentTTwoSidedPValue(t, df) {
+        return this.regularizedBeta(df / (df + t * t), df / 2, 0.5);
+    }
+
+    logBinomial(n, k) {
+        if (k < 0 || k > n) return -Infinity;
+        return this.logGamma(n + 1) - this.logGamma(k + 1) - this.logGamma(n - k + 1);
+    }
+
+    chiSquareGoodnessOfFit(categories, minExpected = 5) {
+        // categories: [{ label, observed, probability }] berurutan; kategori bertetangga
+        // digabung sampai expected >= minExpected agar aproksimasi chi-square valid
+        const impossible = categories
+            .filter(c => c.probability === 0)
+            .reduce((sum, c) => sum + c.observed, 0);
+        const possible = categories.filter(c => c.probability > 0);
+        const n = possible.reduce((sum, c) => sum + c.observed, 0);
+        const totalProbability = possible.reduce((sum, c) => sum + c.probability, 0);
+
+        const bins = [];
+        let current = null;
+        possible.forEach(c => {
+            if (!current) current = { labels: [], observed: 0, expected: 0 };
+            current.labels.push(c.label);
+            current.observed += c.observed;
+            current.expected += n * c.probability / totalProbability;
+            if (current.expected >= minExpected) {
+                bins.push(current);
+                current = null;
+            }
+        });
+        if (current) {
+            if (bins.length > 0) {
+                const last = bins[bins.length - 1];
+                last.labels.push(...current.labels);
+                last.observed += current.observed;
+                last.expected += current.expected;
+            } else {
+                bins.push(current);
+            }
+        }
+
+        if (bins.length < 2) {
+            return { canTest: false, n, impossible, bins };
+        }
+
+        const statistic = bins.reduce((sum, bin) => sum + Math.pow(bin.observed - bin.expected, 2) / bin.expected, 0);
+        const df = bins.length - 1;
+        const pValue = this.chiSquarePValue(statistic, df);
+
+        return { canTest: true, n, impossible, bins, statistic, df, pValue };
+    }
+
+    // ============ ANALYTICS - RANDOMNESS TESTS ============
+    runsTest(sequences) {
+        // Wald-Wolfowitz per sesi, lalu digabung: jumlah run, ekspektasi dan variansi dijumlahkan,
+        // sehingga pergantian antar sesi tidak pernah dihitung sebagai run baru
+        const symbols = [...new Set(sequences.flat())];
+        const n = sequences.reduce((sum, sequence) => sum + sequence.length, 0);
+        if (symbols.length !== 2) return { canTest: false, n };
+
+        const parts = sequences.filter(sequence => sequence.length > 0).map(sequence => {
+            const partN1 = sequence.filter(v => v === symbols[0]).length;
+            const partN2 = sequence.length - partN1;
+            let runs = 1;
+            for (let i = 1; i < sequence.length; i++) {
+                if (sequence[i] !== sequence[i - 1]) runs++;
+            }
+            // Sesi dengan satu simbol saja selalu tepat 1 run
+            const mixed = partN1 > 0 && partN2 > 0;
+            const m = sequence.length;
+            return {
+                n1: partN1,
+                n2: partN2,
+                runs,
+                mixed,
+                expected: mixed ? (2 * partN1 * partN2) / m + 1 : 1,
+                variance: mixed ? (2 * partN1 * partN2 * (2 * partN1 * partN2 - m)) / (m * m * (m - 1)) : 0
+            };
+        });
+        if (!parts.some(part => part.mixed)) return { canTest: false, n };
+
+        const sum = (key) => parts.reduce((total, part) => total + part[key], 0);
+        const n1 = sum('n1');
+        const n2 = sum('n2');
+        const runs = sum('runs');
+        const expected = sum('expected');
+        const variance = sum('variance');
+
+        // Sampel kecil memakai distribusi eksak jumlah run (konvolusi antar sesi), sampel besar aproksimasi normal
+        if (n < 50) {
+            let distribution = { 0: 1 };
+            parts.forEach(part => {
+                const partDistribution = part.mixed ? this.getRunsDistribution(part.n1, part.n2) : { 1: 1 };
+                const combined = {};
+                for (const [r, p] of Object.entries(distribution)) {
+                    for (const [partR, partP] of Object.entries(partDistribution)) {
+                        const total = Number(r) + Number(partR);
+                        combined[total] = (combined[total] || 0) + p * partP;
+                    }
+                }
+                distribution = combined;
+            });
+
+            let lower = 0, upper = 0;
+            for (const [r, p] of Object.entries(distribution)) {
+                if (Number(r) <= runs) lower += p;
+                if (Number(r) >= runs) upper += p;
+            }
+            return {
+                canTest: true, n, n1, n2, runs, expected,
+                statistic: runs,
+                method: 'eksak',
+                pValue: Math.min(1, 2 * Math.min(lower, upper))
+            };
+        }
+
+        const z = variance > 0 ? (runs - expected) / Math.sqrt(variance) : 0;
+        return {
+            canTest: true, n, n1, n2, runs, expected,
+            statistic: z,
+            method: 'normal (z)',
+            pValue: this.normalTwoSidedPValue(z)
+        };
+    }
+
+    getRunsDistribution(n1, n2) {
+        const logTotal = this.logBinomial(n1 + n2, n1);
+        const distribution = {};
+        for (let r = 2; r <= n1 + n2; r++) {
+            let p;
+            if (r % 2 === 0) {
+                const k = r / 2;
+                p = 2 * Math.exp(this.logBinomial(n1 - 1, k - 1) + this.logBinomial(n2 - 1, k - 1) - logTotal);
+            } else {
+                const k = (r - 1) / 2;
+                p = Math.exp(this.logBinomial(n1 - 1, k - 1) + this.logBinomial(n2 - 1, k) - logTotal)
+                    + Math.exp(this.logBinomial(n1 - 1, k) + this.logBinomial(n2 - 1, k - 1) - logTotal);
+            }
+            if (p > 0) distribution[r] = p;
+        }
+        return distribution;
+    }
+
+    autocorrelation(sequences, lag) {
+        // Autokorelasi gabungan: tiap sesi memakai rata-ratanya sendiri dan pasangan lag hanya diambil dalam sesi
+        let numerator = 0, denominator = 0, pairs = 0;
+        sequences.forEach(values => {
+            const n = values.length;
+            if (n === 0) return;
+            const mean = values.reduce((a, b) => a + b, 0) / n;
+            for (let i = 0; i < n; i++) {
+                denominator += Math.pow(values[i] - mean, 2);
+                if (i + lag < n) numerator += (values[i] - mean) * (values[i + lag] - mean);
+            }
+            pairs += Math.max(0, n - lag);
+        });
+        return { r: denominator === 0 ? null : numerator / denominator, pairs };
+    }
+
+    autocorrelationTests(sequences, maxLag = 5, minPairs = 10) {
+        const n = sequences.reduce((sum, values) => sum + values.length, 0);
+        const lags = [];
+        let ljungBox = 0;
+
+        for (let lag = 1; lag <= maxLag; lag++) {
+            const { r, pairs } = this.autocorrelation(sequences, lag);
+            if (pairs < minPairs || r === null) break;
+
+            // Di bawah H0 (independen), r_k ~ N(0, 1/n)
+            const z = r * Math.sqrt(n);
+            lags.push({ lag, statistic: r, pValue: this.normalTwoSidedPValue(z) });
+            ljungBox += (r * r) / pairs;
+        }
+
+        if (lags.length === 0) return { canTest: false, n, lags };
+
+        const statistic = n * (n + 2) * ljungBox;
+        return {
+            canTest: true,
+            n,
+            lags,
+            statistic,
+            df: lags.length,
+            pValue: this.chiSquarePValue(statistic, lags.length)
+        };
+    }
+
+    correlationTest(xs, ys, minPairs = 5) {
+        const n = xs.length;
+        if (n < minPairs) return { canTest: false, n };
+
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        let sxy = 0, sxx = 0, syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (xs[i] - meanX) * (ys[i] - meanY);
+            sxx += Math.pow(xs[i] - meanX, 2);
+            syy += Math.pow(ys[i] - meanY, 2);
+        }
+        if (sxx === 0 || syy === 0) return { canTest: false, n };
+
+        const r = sxy / Math.sqrt(sxx * syy);
+        const df = n - 2;
+        const t = Math.abs(r) >= 1 ? Infinity : r * Math.sqrt(df / (1 - r * r));
+        const pValue = Number.isFinite(t) ? this.studentTTwoSidedPValue(t, df) : 0;
+
+        return { canTest: true, n, statistic: r, t, df, pValue };
+    }
+
+    getRandomnessTests(games = this.getAnalysisGames()) {
+        if (games.length === 0) return null;
+
+        // Urutan dipecah per sesi agar runs test dan autokorelasi tidak melewati batas sesi
+        const sessions = [...this.getSessionSequences(games).values()];
+        const consecutive = this.getConsecutivePairs(games);
+        const previousRoll2 = consecutive.map(([previous]) => previous.roll2);
+        const nextRoll1 = consecutive.map(([, next]) => next.roll1);
+
+        return {
+            classificationRuns: this.runsTest(sessions.map(session => session.map(g => g.classification))),
+            trendRuns: this.runsTest(sessions.map(session => session
+                .map(g => g.trend.direction)
+                .filter(direction => direction !== 'stabil'))),
+            roll2Autocorrelation: this.autocorrelationTests(sessions.map(session => session.map(g => g.roll2))),
+            withinGame: this.correlationTest(games.map(g => g.roll1), games.map(g => g.roll2)),
+            betweenGames: this.correlationTest(previousRoll2, nextRoll1)
+        };
+    }
+
+    // ============ ANALYTICS - STREAKS ============
+    getRuns(sequence) {
+        const runs = [];
+        sequence.forEach((value, i) => {
+            const last = runs[runs.length - 1];
+            if (last && last.value === value) last.length++;
+            else runs.push({ value, length: 1, start: i });
+        });
+        return runs;
+    }
+
+    getLongestRunProbability(n, length, p) {
+        // Peluang minimal satu run >= length dalam n lemparan independen (peluang per lemparan p)
+        // State DP = panjang run yang sedang berjalan, 0..length-1
+        if (length <= 0) return 1;
+        if (length > n || p <= 0) return 0;
+
+        let state = new Array(length).fill(0);
+        state[0] = 1;
+        let reached = 0;
+        for (let i = 0; i < n; i++) {
+            const next = new Array(length).fill(0);
+            state.forEach((probability, run) => {
+                next[0] += probability * (1 - p);
+                if (run + 1 === length) reached += probability * p;
+                else next[run + 1] += probability * p;
+            });
+            state = next;
+        }
+        return reached;
+    }
+
+    getStreakAnalysis(games = this.getAnalysisGames()) {
+        if (games.length === 0) return null;
+
+        // Streak dihitung per sesi dan tidak menyambung melewati batas sesi
+        const sequences = [...this.getSessionSequences(games).values()];
+        const lastGame = games[games.length - 1];
+        const classificationProbability = this.getTheoreticalClassificationProbability();
+        const stateProbability = this.getTheoreticalStateProbability();
+        const categories = [
+            ...['KECIL', 'BESAR'].map(value => ({ key: 'classification', value, probability: classificationProbability[value] })),
+            ...this.getStates().map(value => ({ key: 'state2', value, probability: stateProbability[value] }))
+        ];
+
+        const analyze = ({ key, value, probability }) => {
+            const lengths = [];
+            let current = 0;
+            sequences.forEach(sequence => {
+                const runs = this.getRuns(sequence.map(g => g[key]));
+                runs.filter(r => r.value === value).forEach(r => lengths.push(r.length));
+                if (sequence[sequence.length - 1] === lastGame) {
+                    const lastRun = runs[runs.length - 1];
+                    current = lastRun.value === value ? lastRun.length : 0;
+                }
+            });
+
+            const longest = Math.max(0, ...lengths);
+            const distribution = {};
+            lengths.forEach(length => { distribution[length] = (distribution[length] || 0) + 1; });
+            const independent = probability > 0 && probability < 1;
+
+            // Panjang run untuk lemparan independen ~ geometrik: P(L = k) = (1 - p) p^(k-1);
+            // kategori terakhir menampung ekor P(L >= longest)
+            let fit = { canTest: false };
+            if (independent && longest > 0) {
+                const geometric = Array.from({ length: longest }, (_, i) => ({
+                    label: i + 1 === longest ? `≥${longest}` : String(i + 1),
+                    observed: distribution[i + 1] || 0,
+                    probability: i + 1 === longest ? Math.pow(probability, i) : (1 - probability) * Math.pow(probability, i)
+                }));
+                fit = this.chiSquareGoodnessOfFit(geometric);
+            }
+
+            return {
+                key,
+                value,
+                probability,
+                current,
+                longest,
+                runs: lengths.length,
+                meanLength: lengths.length > 0 ? lengths.reduce((a, b) => a + b, 0) / lengths.length : null,
+                expectedMeanLength: independent ? 1 / (1 - probability) : null,
+                distribution,
+                // Peluang streak sepanjang ini (atau lebih) muncul minimal sekali di histori sepanjang ini
+                longestProbability: longest > 0
+                    ? 1 - sequences.reduce((product, sequence) =>
+                        product * (1 - this.getLongestRunProbability(sequence.length, longest, probability)), 1)
+                    : null,
+                fit
+            };
+        };
+
+        return { games: games.length, sessions: sequences.length, categories: categories.map(analyze) };
+    }
+
+    getExpectedRunLengths(category, maxLength) {
+        // Ekspektasi jumlah run per panjang bila lemparan independen, dengan total run sama seperti observasi
+        const { runs, probability } = category;
+        return Array.from({ length: maxLength }, (_, i) => ({
+            length: i + 1,
+            observed: category.distribution[i + 1] || 0,
+            expected: runs * (1 - probability) * Math.pow(probability, i)
+        }));
+    }
+
+    // ============ PREDICTOR REGISTRY ============
+    registerPredictor(predictor) {
+        // predictor: { id, name, predict(games) → { canPredict, KECIL, BESAR, reasoning } | { canPredict: false, reason },
+        //              describe(prediction) → ringkasan HTML singkat }
+        this.predictors = this.predictors.filter(p => p.id !== predictor.id);
+        this.predictors.push(predictor);
+    }
+
+    getPredictor(id) {
+        return this.predictors.find(p => p.id === id) || this.predictors[0];
+    }
+
+    toPercentPrediction(kecilProbability, reasoning) {
+        const kecilPercent = Math.round(kecilProbability * 100);
+        return { canPredict: true, KECIL: kecilPercent, BESAR: 100 - kecilPercent, reasoning };
+    }
+
+    registerDefaultPredictors() {
+        // Nama dibaca lewat getter agar mengikuti bahasa yang sedang aktif
+        const t = (key, params) => this.t(key, params);
+
+        this.registerPredictor({
+            id: 'hybrid',
+            get name() { return t('predictor.hybrid'); },
+            predict: (games) => this.predictNextOutcome(games),
+            describe: (prediction) => this.t('predictor.hybrid.describe', {
+                profile: prediction.reasoning.profile.name,
+                state: prediction.reasoning.lastState
+            })
+        });
+
+        this.registerPredictor({
+            id: 'frequency',
+            get name() { return t('predictor.frequency'); },
+            predict: (games) => {
+                if (games.length === 0) return { canPredict: false, reason: this.t('predictor.minGames', { count: 1 }) };
+                // Laplace smoothing agar jendela kecil tidak menghasilkan 0% / 100%
+                const frequency = this.getClassificationFrequency(games);
+                const total = frequency.KECIL + frequency.BESAR;
+                return this.toPercentPrediction((frequency.KECIL + 1) / (total + 2), { frequency });
+            },
+            describe: (prediction) => this.t('predictor.frequency.describe', {
+                kecil: prediction.reasoning.frequency.KECIL,
+                besar: prediction.reasoning.frequency.BESAR,
+                window: this.describeAnalysisWindow()
+            })
+        });
+
+        this.registerPredictor({
+            id: 'markov',
+            get name() { return t('predictor.markov'); },
+            predict: (games) => {
+                const { order, alpha } = this.markovSettings;
+                const context = this.getMarkovContext(games, order);
+                if (!context) return { canPredict: false, reason: this.t('predictor.minSessionGames', { count: order }) };
+
+                const row = this.buildMarkovCounts(games, order).get(context) || this.createCountRow();
+                if (row.total === 0 && alpha === 0) return { canPredict: false, reason: this.t('predictor.unseenContext', { context }) };
+
+                // State dipetakan ke K/B lewat porsi KECIL-nya
+                const kecilShares = this.getStateKecilShares();
+                const { cells } = this.getSmoothedRow(row, alpha);
+                const kecilProbability = Object.entries(cells)
+                    .reduce((sum, [state, cell]) => sum + cell.probability * kecilShares[state], 0);
+                return this.toPercentPrediction(kecilProbability, { context, order, total: row.total });
+            },
+            describe: (prediction) => this.t('predictor.markov.describe', {
+                order: prediction.reasoning.order,
+                total: prediction.reasoning.total,
+                context: prediction.reasoning.context
+            })
+        });
+
+        this.registerPredictor({
+            id: 'theoretical',
+            get name() { return t('predictor.theoretical'); },
+            predict: () => {
+                const probability = this.getTheoreticalClassificationProbability();
+                return this.toPercentPrediction(probability.KECIL, { probability });
+            },
+            describe: () => this.t('predictor.theoretical.describe')
+        });
+    }
+
+    // ============ THEORETICAL 9D6 DISTRIBUTION ============
+    getSumDistribution(diceCount = 9, faces = 6) {
+        // Konvolusi berulang: distribusi jumlah dari diceCount dadu bersisi faces
+        let distribution = { 0: 1 };
+        for (let d = 0; d < diceCount; d++) {
+            const next = {};
+            for (const [sum, prob] of Object.entries(distribution)) {
+                for (let face = 1; face <= faces; face++) {
+                    const total = Number(sum) + face;
+                    next[total] = (next[total] || 0) + prob / faces;
+                }
+            }
+            distribution = next;
+        }
+        return distribution;
+    }
+
+    getTotalProbabilities() {
+        // Semua total yang bisa diinput (6-54); total di bawah 9 mustahil untuk 9d6
+        const distribution = this.getSumDistribution();
+        const probabilities = {};
+        for (let total = 6; total <= 54; total++) {
+            probabilities[total] = distribution[total] || 0;
+        }
+        return probabilities;
+    }
+
+    getTheoreticalStateProbability() {
+        const probability = {};
+        this.getStates().forEach(state => { probability[state] = 0; });
+        for (const [total, prob] of Object.entries(this.getTotalProbabilities())) {
+            probability[this.getState(Number(total))] += prob;
+        }
+        return probability;
+    }
+
+    getTheoreticalClassificationProbability() {
+        const probability = { KECIL: 0, BESAR: 0 };
+        for (const [total, prob] of Object.entries(this.getTotalProbabilities())) {
+            probability[this.getClassification(Number(total))] += prob;
+        }
+        return probability;
+    }
+
+    // ============ ANALYTICS - DIE FAIRNESS ============
+    getDieFairness(games = this.getAnalysisGames()) {
+        // Posisi dadu ke-i pada Roll 1 dan Roll 2 dianggap dadu fisik yang sama
+        const withFaces = games.filter(g => g.faces1 && g.faces2);
+        if (withFaces.length === 0) return null;
+
+        const faceProbabilities = { 1: 1 / 6, 2: 1 / 6, 3: 1 / 6, 4: 1 / 6, 5: 1 / 6, 6: 1 / 6 };
+        // 6 sisi × expected minimal 5: di bawah ini sisi dadu harus digabung, jadi uji tidak dijalankan
+        const minThrows = 30;
+        const analyze = (label, faces) => {
+            const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 };
+            faces.forEach(face => { counts[face]++; });
+            const categories = Object.keys(counts).map(face => ({
+                label: face,
+                observed: counts[face],
+                probability: faceProbabilities[face]
+            }));
+            const test = faces.length >= minThrows
+                ? this.chiSquareGoodnessOfFit(categories)
+                : { canTest: false, n: faces.length };
+            return {
+                label,
+                counts,
+                mean: faces.reduce((a, b) => a + b, 0) / faces.length,
+                ...test
+            };
+        };
+
+        const dice = Array.from({ length: this.diceCount }, (_, i) => analyze(
+            this.t('fairness.die', { number: i + 1 }),
+            withFaces.flatMap(g => [g.faces1[i], g.faces2[i]])
+        ));
+        const overall = analyze(this.t('fairness.allDice'), withFaces.flatMap(g => [...g.faces1, ...g.faces2]));
+
+        return {
+            games: withFaces.length,
+            dice,
+            overall,
+            minThrows,
+            // Koreksi Bonferroni: 9 uji sekaligus
+            alpha: 0.05 / this.diceCount
+        };
+    }
+
+    // ============ ANALYTICS - GOODNESS OF FIT ============
+    getRoll2Histogram(games = this.getAnalysisGames()) {
+        const probabilities = this.getTotalProbabilities();
+        const counts = {};
+        games.forEach(g => { counts[g.roll2] = (counts[g.roll2] || 0) + 1; });
+        return Object.keys(probabilities).map(Number).map(total => ({
+            total,
+            observed: counts[total] || 0,
+            expected: probabilities[total] * games.length
+        }));
+    }
+
+    getGoodnessOfFit(games = this.getAnalysisGames()) {
+        if (games.length === 0) return null;
+
+        const totalProbabilities = this.getTotalProbabilities();
+        const stateProbabilities = this.getTheoreticalStateProbability();
+        const classificationProbabilities = this.getTheoreticalClassificationProbability();
+
+        const countBy = (values, keys) => {
+            const counts = {};
+            keys.forEach(key => { counts[key] = 0; });
+            values.forEach(value => { counts[value]++; });
+            return counts;
+        };
+        const toCategories = (counts, probabilities) =>
+            Object.keys(probabilities).map(label => ({
+                label,
+                observed: counts[label],
+                probability: probabilities[label]
+            }));
+
+        const totalKeys = Object.keys(totalProbabilities);
+        const stateKeys = Object.keys(stateProbabilities);
+        const classificationKeys = Object.keys(classificationProbabilities);
+
+        const roll1Totals = countBy(games.map(g => g.roll1), totalKeys);
+        const roll2Totals = countBy(games.map(g => g.roll2), totalKeys);
+        const state1Counts = countBy(games.map(g => g.state1), stateKeys);
+        const state2Counts = countBy(games.map(g => g.state2), stateKeys);
+        const classificationCounts = countBy(games.map(g => g.classification), classificationKeys);
+
+        return {
+            n: games.length,
+            totalProbabilities,
+            stateProbabilities,
+            classificationProbabilities,
+            roll1Totals,
+            roll2Totals,
+            state1Counts,
+            state2Counts,
+            classificationCounts,
+            tests: [
+                { label: this.t('gof.test.roll1Totals'), ...this.chiSquareGoodnessOfFit(toCategories(roll1Totals, totalProbabilities)) },
+                { label: this.t('gof.test.roll2Totals'), ...this.chiSquareGoodnessOfFit(toCategories(roll2Totals, totalProbabilities)) },
+                { label: this.t('gof.test.state1'), ...this.chiSquareGoodnessOfFit(toCategories(state1Counts, stateProbabilities)) },
+                { label: this.t('gof.test.state2'), ...this.chiSquareGoodnessOfFit(toCategories(state2Counts, stateProbabilities)) },
+                { label: this.t('gof.test.classification'), ...this.chiSquareGoodnessOfFit(toCategories(classificationCounts, classificationProbabilities)) }
+            ]
+        };
+    }
+
+    // ============ PREDICTION LOG ============
+    getEntrySessionIds(entry) {
+        // Entri lama hanya menyimpan satu sessionId
+        return entry.sessionIds || [entry.sessionId];
+    }
+
+    scoreForecastLog(log, games) {
+        // Prakiraan yang sudah dinilai terikat ke actualGameId: edit game itu membaca ulang hasilnya, menghapusnya
+        // membuat entri batal (bukan menunggu lagi). Hanya entri yang belum pernah dinilai mencari game berikutnya.
+        // Hasil dinilai dengan ambang skema yang dipakai saat prakiraan dibuat. → true bila ada entri yang berubah.
+        const positions = new Map(games.map((g, i) => [g.id, i]));
+        let changed = false;
+
+        log.forEach(entry => {
+            let actualGame = null;
+            if (entry.actualGameId !== null && entry.actualGameId !== undefined) {
+                actualGame = positions.has(entry.actualGameId) ? games[positions.get(entry.actualGameId)] : null;
+            } else if (entry.afterGameId === null || positions.has(entry.afterGameId)) {
+                const sessions = new Set(this.getEntrySessionIds(entry));
+                const start = entry.afterGameId === null ? 0 : positions.get(entry.afterGameId) + 1;
+                actualGame = games.slice(start).find(g => sessions.has(g.sessionId)) || null;
+                // Hanya game yang masuk setelah prakiraan dibuat yang boleh menilainya
+                if (actualGame && new Date(actualGame.timestamp) < new Date(entry.createdAt)) actualGame = null;
+            }
+
+            const actual = actualGame ? (actualGame.roll2 <= entry.settings.scheme.threshold ? 'KECIL' : 'BESAR') : null;
+            const voided = entry.actualGameId !== null && entry.actualGameId !== undefined && !actualGame;
+            if (entry.actual === actual && Boolean(entry.voided) === voided
+                && (voided || entry.actualGameId === (actualGame ? actualGame.id : null))) return;
+
+            entry.actual = actual;
+            entry.voided = voided;
+            // Game penilai yang dihapus tetap dicatat, sehingga undo delete memulihkan nilainya
+            if (actualGame) entry.actualGameId = actualGame.id;
+            if (!entry.scoredAt && actualGame) entry.scoredAt = new Date();
+            changed = true;
+        });
+
+        return changed;
+    }
+
+    // ============ BACKTEST ============
+    runSteps(steps) {
+        let next = steps.next();
+        while (!next.done) next = steps.next();
+        return next.value;
+    }
+
+    runBacktest(games = this.getAnalysisGames(), predictorId = 'hybrid') {
+        return this.runSteps(this.backtestSteps(games, predictorId));
+    }
+
+    *backtestSteps(games, predictorId) {
+        // Generator: berhenti sejenak tiap langkah agar pemanggil di browser bisa membaginya per potongan
+        const predictor = this.getPredictor(predictorId);
+        const createScore = (label) => ({ label, count: 0, hits: 0, brier: 0, logLoss: 0 });
+        const model = createScore(predictor.name);
+        const alwaysKecil = createScore(this.t('backtest.alwaysKecil'));
+        const coinFlip = createScore(this.t('backtest.coinFlip'));
+        const theoretical = createScore(this.t('predictor.theoretical'));
+        const confusion = {
+            KECIL: { KECIL: 0, BESAR: 0 },
+            BESAR: { KECIL: 0, BESAR: 0 }
+        };
+        const theoreticalKecil = this.getTheoreticalClassificationProbability().KECIL;
+
+        // Walk-forward: prediksi game ke-i hanya memakai game sebelum i
+        for (let i = 1; i < games.length; i++) {
+            const prediction = predictor.predict(games.slice(0, i));
+            if (!prediction.canPredict) continue;
+
+            const actual = games[i].classification;
+            const predicted = prediction.KECIL > prediction.BESAR ? 'KECIL' : 'BESAR';
+            confusion[actual][predicted]++;
+
+            this.scoreBacktestStep(model, prediction.KECIL / 100, actual, predicted === actual ? 1 : 0);
+            this.scoreBacktestStep(alwaysKecil, 1, actual, actual === 'KECIL' ? 1 : 0);
+            this.scoreBacktestStep(coinFlip, 0.5, actual, 0.5);
+            this.scoreBacktestStep(theoretical, theoreticalKecil, actual, this.getExpectedHit(theoreticalKecil, actual));
+            yield i;
+        }
+
+        if (model.count === 0) return null;
+
+        const summarize = (score) => ({
+            label: score.label,
+            count: score.count,
+            hitRate: score.hits / score.count,
+            brier: score.brier / score.count,
+            logLoss: score.logLoss / score.count
+        });
+
+        return {
+            steps: model.count,
+            model: summarize(model),
+            baselines: [alwaysKecil, coinFlip, theoretical].map(summarize),
+            confusion
+        };
+    }
+
+    scoreBacktestStep(score, kecilProbability, actual, hit) {
+        // Probabilitas dijepit agar log loss tetap terhingga untuk prediksi 0% / 100%
+        const epsilon = 0.001;
+        const outcome = actual === 'KECIL' ? 1 : 0;
+        const actualProbability = outcome ? kecilProbability : 1 - kecilProbability;
+        const clipped = Math.min(Math.max(actualProbability, epsilon), 1 - epsilon);
+
+        score.count++;
+        score.hits += hit;
+        score.brier += Math.pow(kecilProbability - outcome, 2);
+        score.logLoss -= Math.log(clipped);
+    }
+
+    getExpectedHit(kecilProbability, actual) {
+        // Probabilitas tepat 50% tidak memilih sisi: dihitung sebagai setengah hit
+        if (Math.abs(kecilProbability - 0.5) < 1e-9) return 0.5;
+        const predicted = kecilProbability > 0.5 ? 'KECIL' : 'BESAR';
+        return predicted === actual ? 1 : 0;
+    }
+
+    // ============ SIMULATION ============
+    createRandom(seed) {
+        // mulberry32: PRNG 32-bit kecil yang hasilnya bisa diulang dari seed yang sama
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    createFaceRoller(random, weights) {
+        const total = weights.reduce((a, b) => a + b, 0);
+        return () => {
+            let r = random() * total;
+            for (let face = 0; face < 6; face++) {
+                r -= weights[face];
+                if (r < 0) return face + 1;
+            }
+            return 6;
+        };
+    }
+
+    simulateGames({ count, seed, mode = 'fair', weights = [1, 1, 1, 1, 1, 1], biasedDice = this.diceCount, stickiness = 0, sessionId }) {
+        const random = this.createRandom(seed);
+        const fairRoll = this.createFaceRoller(random, [1, 1, 1, 1, 1, 1]);
+        const biasedRoll = this.createFaceRoller(random, weights);
+        let previous = null;
+
+        const rollDice = () => {
+            const faces = Array.from({ length: this.diceCount }, (_, i) => {
+                // Sticky: tiap dadu mempertahankan sisi sebelumnya dengan peluang = stickiness
+                if (mode === 'sticky' && previous && random() < stickiness) return previous[i];
+                return mode === 'biased' && i < biasedDice ? biasedRoll() : fairRoll();
+            });
+            previous = faces;
+            return faces;
+        };
+
+        // Id dan timestamp dibuat berurutan setelah data yang sudah ada
+        const start = Date.now();
+        const firstId = this.getNextGameId();
+        return Array.from({ length: count }, (_, i) => {
+            const faces1 = rollDice();
+            const faces2 = rollDice();
+            return this.createGame(this.sumFaces(faces1), this.sumFaces(faces2), {
+                id: firstId + i,
+                timestamp: new Date(start + i * 1000),
+                sessionId,
+                faces1,
+                faces2
+            });
+        });
+    }
+
+    describeSimulation({ mode, seed, weights, biasedDice, stickiness }) {
+        if (mode === 'biased') return this.t('sim.describe.biased', { dice: biasedDice, weights: weights.join(','), seed });
+        if (mode === 'sticky') return this.t('sim.describe.sticky', { stickiness, seed });
+        return this.t('sim.describe.fair', { seed });
+    }
+
+    getSimulationReport(session, games) {
+        return this.runSteps(this.simulationReportSteps(session, games));
+    }
+
+    *simulationReportSteps(session, games) {
+        // Bandingkan model dengan kebenaran dasar yang diketahui dari parameter simulasi
+        const models = [];
+        for (const predictor of this.predictors) {
+            const result = yield* this.backtestSteps(games, predictor.id);
+            if (!result) {
+                models.push({ predictorId: predictor.id, label: predictor.name, canTest: false });
+                continue;
+            }
+            const hits = Math.round(result.model.hitRate * result.steps);
+            models.push({
+                predictorId: predictor.id,
+                label: predictor.name,
+                canTest: true,
+                steps: result.steps,
+                hitRate: result.model.hitRate,
+                brier: result.model.brier,
+                ...this.wilsonInterval(hits, result.steps)
+            });
+        }
+
+        const kecil = games.filter(g => g.classification === 'KECIL').length;
+        return {
+            sessionId: session.id,
+            name: session.name,
+            description: this.describeSimulation(session.simulation),
+            simulation: session.simulation,
+            count: games.length,
+            kecilRate: kecil / games.length,
+            theoreticalKecil: this.getTheoreticalClassificationProbability().KECIL,
+            models,
+            randomness: this.getRandomnessTests(games),
+            fairness: this.getDieFairness(games)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DiceAnalytics };
+}
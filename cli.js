@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// ============================================
+// 🎲 DICE ANALYSIS - LAPORAN COMMAND LINE
+// Pemakaian: node cli.js <histori.csv|histori.json> [--json] [--order N] [--alpha A] [--lang id|en] [--last N | --from T] [--to T]
+// ============================================
+
+const fs = require('fs');
+const { DiceAnalytics } = require('./analytics.js');
+const { DiceI18n } = require('./i18n.js');
+
+function createI18n(argv) {
+    // Bahasa dipilih lebih dulu, agar kesalahan pada opsi lain sudah memakai bahasa itu
+    const index = argv.indexOf('--lang');
+    return new DiceI18n(index >= 0 ? argv[index + 1] : undefined);
+}
+
+function parseArgs(argv) {
+    const i18n = createI18n(argv);
+    const t = (key, params) => i18n.t(key, params);
+    const options = { file: null, json: false, markovSettings: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // Opsi jendela wajib diikuti nilainya; opsi lain di posisi itu juga dianggap nilai yang hilang
+        if (['--last', '--from', '--to'].includes(arg) && (argv[i + 1] === undefined || argv[i + 1].startsWith('--'))) {
+            throw new Error(t('cli.error.missingValue', { option: arg }));
+        }
+        if (arg === '--json') options.json = true;
+        else if (arg === '--order') options.markovSettings.order = Number(argv[++i]);
+        else if (arg === '--alpha') options.markovSettings.alpha = Number(argv[++i]);
+        else if (arg === '--lang') options.locale = argv[++i];
+        else if (arg === '--last') options.window = { ...options.window, mode: 'last', count: Number(argv[++i]) };
+        else if (arg === '--from') options.window = { ...options.window, mode: 'range', from: argv[++i] };
+        else if (arg === '--to') options.window = { ...options.window, mode: 'range', to: argv[++i] };
+        else if (!arg.startsWith('--')) options.file = arg;
+        else throw new Error(t('cli.error.unknownOption', { option: arg }));
+    }
+
+    const { order, alpha } = options.markovSettings;
+    if (!options.file) throw new Error(t('cli.error.fileRequired'));
+    if (order !== undefined && ![1, 2, 3].includes(order)) throw new Error(t('cli.error.order'));
+    if (alpha !== undefined && !(Number.isFinite(alpha) && alpha >= 0)) throw new Error(t('cli.error.alpha'));
+    const locales = i18n.getLocales();
+    if ('locale' in options && !locales.includes(options.locale)) throw new Error(t('cli.error.lang', { locales: locales.join(', ') }));
+    if (options.window) {
+        if ('count' in options.window && ('from' in options.window || 'to' in options.window)) throw new Error(t('cli.error.windowConflict'));
+        const analytics = new DiceAnalytics({ analysisWindow: options.window, i18n });
+        const error = analytics.validateAnalysisWindow(analytics.analysisWindow);
+        if (error) throw new Error(`${options.window.mode === 'last' ? '--last' : '--from/--to'}: ${error}`);
+    }
+    return options;
+}
+
+function buildReport(analytics, text) {
+    const imported = analytics.parseImport(text);
+    const { games, errors, duplicates } = analytics.validateImportRows(imported.games, []);
+    analytics.sessions = imported.sessions;
+    analytics.setGames(games);
+
+    return {
+        window: { ...analytics.analysisWindow },
+        summary: analytics.getSummaryStats(),
+        classification: analytics.getClassificationFrequency(),
+        transitionMatrix: analytics.buildTransitionMatrix(),
+        predictions: analytics.predictors.map(predictor => {
+            const result = predictor.predict(analytics.getAnalysisGames());
+            return result.canPredict
+                ? { id: predictor.id, name: predictor.name, canPredict: true, KECIL: result.KECIL, BESAR: result.BESAR }
+                : { id: predictor.id, name: predictor.name, canPredict: false, reason: result.reason };
+        }),
+        skipped: { errors, duplicates }
+    };
+}
+
+function formatText(report, analytics) {
+    const states = analytics.getStates();
+    const { summary, classification, transitionMatrix, predictions, skipped } = report;
+    const pad = (value, width) => String(value).padStart(width);
+    const label = (text) => `${text.padEnd(15)}: `;
+    const kecil = analytics.formatClassification('KECIL');
+    const besar = analytics.formatClassification('BESAR');
+    const lines = [
+        analytics.t('cli.summary'),
+        label(analytics.t('cli.totalGames')) + summary.totalGames,
+        label(analytics.t('cli.avgRoll1')) + summary.avgRoll1.toFixed(1),
+        label(analytics.t('cli.avgRoll2')) + summary.avgRoll2.toFixed(1),
+        label(analytics.t('cli.trendDominant')) + analytics.formatTrendDominant(summary.trendDominant),
+        label(`${kecil} / ${besar}`) + `${classification.KECIL} / ${classification.BESAR} ${analytics.t('cli.window', { window: analytics.describeAnalysisWindow() })}`,
+        '',
+        analytics.t('cli.matrixTitle')
+    ];
+
+    if (transitionMatrix) {
+        const width = Math.max(8, ...states.map(s => s.length + 1));
+        lines.push(pad(analytics.t('cli.fromTo'), width + 2) + states.map(s => pad(s, width)).join(''));
+        states.forEach(from => {
+            lines.push(pad(from, width + 2) + states.map(to => pad(transitionMatrix[from][to], width)).join(''));
+        });
+    } else {
+        lines.push(analytics.t('predictor.minGames', { count: 2 }));
+    }
+
+    lines.push('', analytics.t('cli.predictionsTitle'));
+    const nameWidth = Math.max(24, ...predictions.map(p => p.name.length));
+    predictions.forEach(p => {
+        lines.push(p.canPredict
+            ? `${p.name.padEnd(nameWidth)} ${kecil} ${pad(p.KECIL, 3)}%  ${besar} ${pad(p.BESAR, 3)}%`
+            : `${p.name.padEnd(nameWidth)} ${p.reason}`);
+    });
+
+    if (skipped.errors.length > 0 || skipped.duplicates.length > 0) {
+        lines.push('', analytics.t('cli.skipped', { errors: skipped.errors.length, duplicates: skipped.duplicates.length }));
+        skipped.errors.forEach(error => lines.push(`  - ${error}`));
+    }
+    return lines.join('\n');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        console.error(createI18n(process.argv.slice(2)).t('cli.usage'));
+        process.exit(2);
+    }
+
+    const analytics = new DiceAnalytics({
+        markovSettings: options.markovSettings,
+        analysisWindow: options.window,
+        i18n: new DiceI18n(options.locale)
+    });
+    let report;
+    try {
+        report = buildReport(analytics, fs.readFileSync(options.file, 'utf8'));
+    } catch (err) {
+        console.error(analytics.t('cli.readFailed', { file: options.file, message: err.message }));
+        process.exit(1);
+    }
+
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatText(report, analytics));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, buildReport, formatText };
@@ -0,0 +1,886 @@
+// ============================================
+// 🌐 DICE I18N
+// Katalog pesan Indonesia/Inggris. Data tersimpan hanya memakai kode netral
+// (KECIL/BESAR, naik/turun/stabil, nama state); teks tampilan selalu lewat katalog ini.
+// ============================================
+
+const MESSAGES = {
+    id: {
+        'locale.name': 'Bahasa Indonesia',
+        'locale.tag': 'id-ID',
+        'locale.label': 'Bahasa',
+        'app.title': '🎲 Sistem Analisis & Prediksi Lempar Dadu',
+        'app.initFailed': 'Aplikasi gagal dimulai: {message}',
+
+        // Kode netral
+        'class.KECIL': 'KECIL',
+        'class.BESAR': 'BESAR',
+        'trend.naik': 'Naik',
+        'trend.turun': 'Turun',
+        'trend.stabil': 'Stabil',
+        'trend.dominant.naik': 'Naik ↑',
+        'trend.dominant.turun': 'Turun ↓',
+        'trend.dominant.stabil': 'Stabil →',
+
+        'common.games': '{count} game',
+        'common.save': 'Simpan',
+        'common.cancel': 'Batal',
+        'common.edit': 'Edit',
+        'common.delete': 'Hapus',
+        'common.saveAs': 'Simpan Sebagai:',
+        'common.notEnoughData': 'Data belum cukup',
+        'common.test': 'Uji',
+        'common.result': 'Hasil',
+        'common.mean': 'Rata-rata',
+
+        // Halaman statis (index.html)
+        'header.title': '🎲 Sistem Analisis Lempar Dadu',
+        'header.subtitle': 'Berbasis Pola Numerik & Transisi State',
+        'sessions.title': '🗂️ Sesi',
+        'sessions.activeLabel': 'Sesi Aktif (game baru masuk ke sesi ini):',
+        'sessions.new': '➕ Sesi Baru',
+        'sessions.rename': '✏️ Ganti Nama',
+        'sessions.archive': '📦 Arsipkan',
+        'sessions.filterLabel': 'Sesi yang Dianalisis:',
+        'window.title': '🪟 Jendela Analisis',
+        'window.modeLabel': 'Data yang Dianalisis:',
+        'window.modeAll': 'Seluruh histori',
+        'window.modeLast': 'N game terakhir',
+        'window.modeRange': 'Rentang tanggal/waktu',
+        'window.countLabel': 'Jumlah Game Terakhir:',
+        'window.fromLabel': 'Dari:',
+        'window.toLabel': 'Sampai:',
+        'window.migrationNotice': 'ℹ️ Prediksi sekarang memakai jendela analisis ini (default seluruh histori), bukan lagi otomatis 20 game terakhir.',
+        'window.migrationUseLast20': 'Pakai 20 game terakhir seperti sebelumnya',
+        'window.migrationKeepAll': 'Tetap seluruh histori',
+        'window.note': 'Semua statistik, tabel, matriks, grafik, backtest dan prediksi memakai jendela ini. Rentang dibaca dari timestamp tiap game; batas yang dikosongkan berarti tanpa batas.',
+        'compare.title': '⚖️ Bandingkan Jendela',
+        'compare.windowB': 'Jendela B (dibandingkan dengan jendela analisis di atas):',
+        'compare.note': 'Δ = B − A. Kedua jendela boleh tumpang tindih (misalnya 50 game terakhir juga termasuk seluruh histori), jadi selisihnya menunjukkan pergeseran, bukan hasil uji statistik.',
+        'input.title': '📝 Input Game',
+        'input.modeTotal': 'Input total',
+        'input.modeDice': 'Input per dadu (9 dadu)',
+        'input.modeBulk': 'Tempel banyak game',
+        'input.bulkLabel': 'Pasangan Roll 1 Roll 2, dipisah koma atau baris baru:',
+        'input.bulkPlaceholder': 'Contoh: 25 38, 19 44, 31 27',
+        'input.bulkCommit': '➕ Tambah Semua',
+        'input.faces1': 'Roll 1 - nilai tiap dadu (1-6):',
+        'input.faces2': 'Roll 2 - nilai tiap dadu (1-6):',
+        'input.roll1': 'Roll 1 (Total 1-6 kotak):',
+        'input.roll1Placeholder': 'Contoh: 25',
+        'input.roll2': 'Roll 2 (Total 1-6 kotak):',
+        'input.roll2Placeholder': 'Contoh: 38',
+        'input.submit': '➕ Tambah Game',
+        'summary.title': '📊 Ringkasan Data',
+        'summary.totalGames': 'Total Games:',
+        'summary.avgRoll1': 'Rata-rata Roll 1:',
+        'summary.avgRoll2': 'Rata-rata Roll 2:',
+        'summary.trendDominant': 'Tren Dominan:',
+        'history.title': '📋 Histori Game',
+        'history.col.session': 'Sesi',
+        'history.col.diff': 'Selisih',
+        'history.col.direction': 'Arah',
+        'history.col.classification': 'Klasifikasi',
+        'history.col.actions': 'Aksi',
+        'history.clear': '🗑️ Hapus Semua Data',
+        'io.title': '💾 Impor & Ekspor Data',
+        'io.exportCsv': '⬇️ Ekspor CSV',
+        'io.exportJson': '⬇️ Ekspor JSON',
+        'io.merge': 'Gabungkan',
+        'io.replace': 'Ganti semua',
+        'io.import': '⬆️ Impor',
+        'chart.title': '📈 Grafik Histori',
+        'chart.timeline': 'Garis waktu',
+        'chart.histogram': 'Histogram Roll 2',
+        'chart.mean': 'Rata-rata bergerak',
+        'chart.meanWindow': 'Jendela rata-rata bergerak',
+        'chart.threshold': 'Ambang K/B',
+        'chart.bands': 'Arsir band state',
+        'chart.zoomIn': 'Perbesar',
+        'chart.zoomOut': 'Perkecil',
+        'chart.reset': 'Semua',
+        'chart.hint': 'Scroll di atas grafik untuk zoom, drag untuk menggeser.',
+        'matrix.title': '🔄 Matriks Transisi State',
+        'matrix.order': 'Order Markov:',
+        'matrix.order1': '1 (game terakhir)',
+        'matrix.order2': '2 (dua game terakhir)',
+        'matrix.order3': '3 (tiga game terakhir)',
+        'matrix.alpha': 'Smoothing Dirichlet (α):',
+        'matrix.minCount': 'Minimal Observasi per Sel:',
+        'matrix.between': 'Antar Game (Roll 2 sebelumnya → Roll 1 berikutnya)',
+        'matrix.within': 'Dalam Game (Roll 1 → Roll 2)',
+        'matrix.note': 'Sel berisi probabilitas (setelah smoothing α), jumlah observasi, dan interval kepercayaan 95% (Wilson) dari frekuensi mentah. Sel dengan observasi di bawah batas minimal ditampilkan abu-abu; konteks baris ikut abu-abu bila total barisnya di bawah batas.',
+        'scheme.title': '📏 Skema State & Ambang KECIL/BESAR',
+        'scheme.active': 'Skema Aktif:',
+        'scheme.bands': 'Band (NAMA:batas atas, dipisah koma):',
+        'scheme.threshold': 'KECIL jika Roll 2 ≤:',
+        'scheme.namePlaceholder': 'Nama skema baru',
+        'scheme.save': '💾 Simpan Skema',
+        'scheme.delete': '🗑️ Hapus Skema',
+        'profile.title': '⚙️ Pengaturan Bobot Prediksi',
+        'profile.active': 'Profil Aktif:',
+        'profile.trendWeight': 'Bobot Tren Numerik (%):',
+        'profile.stateWeight': 'Bobot Dominasi State (%):',
+        'profile.transitionWeight': 'Bobot Transisi State (%):',
+        'profile.centerWeight': 'Bobot Jarak dari Pusat (%):',
+        'profile.trendFactor': 'Faktor Tren (0-1):',
+        'profile.center': 'Pusat K/B:',
+        'profile.maxDistance': 'Jarak Maksimal dari Pusat:',
+        'profile.namePlaceholder': 'Nama profil baru',
+        'profile.save': '💾 Simpan Profil',
+        'profile.delete': '🗑️ Hapus Profil',
+        'prediction.title': '🔮 Prediksi Kecenderungan',
+        'basis.title': '📌 Dasar Analisis Prediksi (Hybrid Scoring)',
+        'log.title': '📒 Log Prediksi Prospektif',
+        'gof.title': '📐 Distribusi Teoretis 9d6 & Goodness-of-Fit',
+        'fairness.title': '🎯 Keadilan Sisi Dadu',
+        'randomness.title': '🔬 Uji Keacakan & Independensi',
+        'streak.title': '🔁 Streak & Run Length',
+        'streak.select': 'Distribusi panjang run untuk:',
+        'backtest.title': '🧪 Backtest Prediksi',
+        'backtest.run': '▶️ Jalankan Backtest',
+        'sim.title': '🧬 Simulasi',
+        'sim.mode': 'Jenis Dadu:',
+        'sim.mode.fair': 'Adil (9d6)',
+        'sim.mode.biased': 'Berat sebelah',
+        'sim.mode.sticky': 'Sticky (berkorelasi)',
+        'sim.games': 'Jumlah Game:',
+        'sim.seed': 'Seed (kosong = acak):',
+        'sim.seedPlaceholder': 'mis. 42',
+        'sim.weights': 'Bobot Sisi 1-6:',
+        'sim.biasedDice': 'Jumlah Dadu Berat Sebelah:',
+        'sim.stickiness': 'Stickiness (peluang dadu mengulang sisi sebelumnya):',
+        'sim.run': '▶️ Jalankan Simulasi',
+        'sim.clear': '🗑️ Hapus Data Simulasi',
+        'disclaimer.title': '⚠️ Disclaimer Ilmiah',
+        'disclaimer.descriptive': 'Sistem ini menganalisis <strong>pola historis</strong> dan <strong>transisi state</strong> dari data lempar dadu yang telah dikumpulkan. Prediksi yang diberikan adalah <strong>analisis statistik deskriptif</strong>, bukan probabilitas matematis yang menjamin hasil.',
+        'disclaimer.independent': '<strong>Penting:</strong> Setiap roll dadu adalah kejadian independen. Pola yang terlihat dalam data historis tidak menjamin hasil roll berikutnya. Gunakan sistem ini hanya sebagai <strong>alat bantu analisis</strong>, bukan sebagai dasar keputusan finansial.',
+
+        // Validasi & record
+        'validation.faceRange': 'Setiap dadu harus bernilai 1-6',
+        'validation.rollRange': 'Input harus antara 6-54',
+        'validation.bulkPair': 'harus berisi 2 angka: Roll 1 dan Roll 2',
+        'record.notObject': 'record bukan objek',
+        'record.invalidId': 'id tidak valid ({id})',
+        'record.invalidRolls': 'roll harus bilangan bulat 6-54 (roll1={roll1}, roll2={roll2})',
+        'record.invalidTimestamp': 'timestamp tidak valid ({timestamp})',
+        'record.invalidFaces': 'nilai dadu tidak valid atau tidak sesuai total roll',
+
+        // Impor / ekspor
+        'import.csvHeader': 'Header CSV harus memuat kolom roll1 dan roll2',
+        'import.unknownFormat': 'Format file tidak dikenali',
+        'import.newerSchema': 'Versi skema {version} lebih baru dari yang didukung ({supported})',
+        'import.row': 'Baris {row}: {error}',
+        'io.readFailed': 'Gagal membaca file: {message}',
+        'io.noValidRows': 'Tidak ada baris valid di file; data tidak diubah',
+        'io.chooseFile': 'Pilih file CSV atau JSON terlebih dahulu',
+        'io.confirmReplace': 'Ganti semua data dengan isi file? Data saat ini akan dihapus.',
+        'io.result': 'Hasil Impor:',
+        'io.resultSummary': '{imported} game diimpor, {duplicates} duplikat dilewati, {errors} baris tidak valid',
+        'io.duplicateIds': 'ID duplikat:',
+
+        // Skema & profil
+        'bands.minimum': 'Minimal 2 band',
+        'bands.emptyName': 'Nama band kosong pada "{entry}"',
+        'bands.duplicate': 'Nama band "{name}" dipakai lebih dari sekali',
+        'bands.invalidName': 'Nama band "{name}" hanya boleh berisi huruf, angka, spasi, _ dan - (maksimal 20 karakter)',
+        'bands.upperBound': 'Batas atas band "{name}" harus bilangan bulat {min}-54',
+        'bands.lastEnd': 'Band terakhir harus berakhir di 54',
+        'scheme.nameRequired': 'Nama skema wajib diisi',
+        'scheme.defaultReadOnly': 'Skema Standar tidak bisa diubah, gunakan nama lain',
+        'scheme.thresholdRange': 'Ambang KECIL/BESAR harus bilangan bulat 6-53',
+        'scheme.invalidBands': 'Band tidak valid: {message}',
+        'scheme.defaultUndeletable': 'Skema Standar tidak bisa dihapus',
+        'scheme.confirmDelete': 'Hapus skema "{name}"? Data akan diklasifikasi ulang dengan skema Standar.',
+        'profile.nameRequired': 'Nama profil wajib diisi',
+        'profile.defaultReadOnly': 'Profil Default tidak bisa diubah, gunakan nama lain',
+        'profile.notNumber': 'Semua nilai harus berupa angka',
+        'profile.negativeWeight': 'Bobot tidak boleh negatif',
+        'profile.zeroWeights': 'Minimal satu bobot harus lebih dari 0',
+        'profile.trendFactorRange': 'Faktor tren harus antara 0 dan 1',
+        'profile.maxDistanceRange': 'Jarak maksimal harus lebih dari 0',
+        'profile.defaultUndeletable': 'Profil Default tidak bisa dihapus',
+        'profile.confirmDelete': 'Hapus profil "{name}"?',
+
+        // Penyimpanan, histori & sesi
+        'storage.loadFailed': 'Gagal memuat data tersimpan: {message}',
+        'storage.saveFailed': 'Gagal menyimpan data: {message}',
+        'storage.error.blocked': 'Database sedang dipakai versi lama di tab lain',
+        'storage.error.aborted': 'Transaksi dibatalkan',
+        'storage.error.notArray': 'isi bukan array',
+        'storage.error.corruptJson': 'JSON {key} rusak: {message}',
+        'storage.confirmClearQuarantine': 'Hapus permanen {count} record rusak dari karantina?',
+        'storage.localFallback': 'localStorage (IndexedDB tidak tersedia)',
+        'storage.localFallbackReason': 'localStorage (IndexedDB tidak bisa dibuka: {message})',
+        'storage.corruptSettings': 'Data tersimpan rusak dan dipindah ke salinan .corrupt: {keys}',
+        'storage.offlineUnavailable': 'Mode offline tidak aktif: {message}',
+        'storage.backend': 'Penyimpanan: {backend}',
+        'storage.remoteChanges': '{count} perubahan dari tab lain (terakhir {time})',
+        'storage.quarantined': '{count} record rusak dikarantina',
+        'storage.download': 'unduh',
+        'storage.clear': 'hapus',
+        'history.confirmClear': 'Hapus semua data? Tindakan ini bisa dibatalkan dengan Undo (Ctrl+Z).',
+        'history.empty': 'Data kosong. Mulai input game pertama Anda!',
+        'history.undoDropped': 'Penyimpanan browser penuh: {count} langkah undo tertua dibuang.',
+        'session.defaultName': 'Sesi Utama',
+        'session.numberedName': 'Sesi {number}',
+        'session.selectAtLeastOne': 'Pilih minimal satu sesi untuk dianalisis',
+        'session.promptNew': 'Nama sesi baru:',
+        'session.promptRename': 'Nama baru untuk sesi ini:',
+        'session.lastOpen': 'Sesi terakhir yang aktif tidak bisa diarsipkan. Buat sesi baru terlebih dahulu.',
+        'session.confirmArchive': 'Arsipkan sesi "{name}"? Data tetap tersimpan dan bisa dianalisis.',
+        'session.archived': 'arsip',
+        'session.unarchive': 'buka arsip',
+        'window.info': 'Menganalisis {count} dari {total} game ({window})',
+        'window.describeAll': 'seluruh histori',
+        'window.describeLast': '{count} game terakhir',
+        'window.describeRange': '{from} s/d {to}',
+        'window.invalidMode': 'Mode jendela analisis tidak dikenal',
+        'window.invalidCount': 'Jumlah game harus bilangan bulat minimal 1',
+        'window.invalidDate': 'Tanggal/waktu jendela tidak valid',
+        'window.invalidRange': 'Batas "Dari" harus sebelum batas "Sampai"',
+        'compare.empty': 'Belum ada game di sesi yang dipilih',
+        'compare.metric': 'Metrik',
+        'compare.windowA': 'A: {window}',
+        'compare.windowBColumn': 'B: {window}',
+        'compare.games': 'Jumlah game',
+        'compare.period': 'Periode',
+        'compare.avgRoll1': 'Rata-rata Roll 1',
+        'compare.avgRoll2': 'Rata-rata Roll 2',
+        'compare.classRate': 'Porsi {classification}',
+        'compare.trend': 'Tren dominan',
+        'compare.stateShare': 'Roll 2 di {state}',
+        'compare.prediction': 'Prediksi hybrid {classification}',
+        'bulk.fixErrors': 'Perbaiki {count} kesalahan dulu',
+        'bulk.commit': '➕ Tambah {count} Game',
+
+        // Tren & grafik
+        'trend.notEnoughData': 'Data belum cukup untuk analisis tren',
+        'trend.summaryTitle': 'Tren Angka ({window}):',
+        'trend.dominance': 'Dominasi:',
+        'chart.range': 'Game #{start} - #{end} dari {total}',
+        'chart.observed': 'Observasi',
+        'chart.theoretical': 'Teoretis',
+        'chart.legend.mean': 'Rata-rata R2 ({window})',
+        'chart.legend.roll2Observed': 'Roll 2 (observasi)',
+        'markov.notEnoughData': 'Data belum cukup untuk analisis transisi',
+        'markov.context': 'Konteks',
+        'markov.cellTitle': '{count} dari {total} transisi',
+
+        // Model prediksi
+        'predictor.hybrid': 'Hybrid Scoring',
+        'predictor.frequency': 'Frekuensi',
+        'predictor.markov': 'Markov (Transisi State)',
+        'predictor.theoretical': 'Teoretis 9d6',
+        'predictor.hybrid.describe': 'Profil "{profile}", state terakhir {state}',
+        'predictor.frequency.describe': '{kecil} KECIL, {besar} BESAR ({window})',
+        'predictor.markov.describe': 'Order {order}, {total} transisi dari {context}',
+        'predictor.theoretical.describe': 'Distribusi eksak jumlah 9 dadu, tanpa melihat histori',
+        'predictor.minGames': 'Data belum cukup (minimal {count} game)',
+        'predictor.minSessionGames': 'Data belum cukup (minimal {count} game dalam sesi)',
+        'predictor.unseenContext': 'Konteks {context} belum pernah muncul',
+        'basis.empty': 'Dasar analisis akan ditampilkan setelah prediksi',
+        'basis.recommendation': 'Rekomendasi:',
+        'basis.confidence': '{label} ({percent}% confidence)',
+        'basis.components': 'Komponen Analisis:',
+        'basis.numericTrend': 'Tren Numerik:',
+        'basis.trendDown': 'Cenderung menurun (KECIL)',
+        'basis.trendUp': 'Cenderung meningkat (BESAR)',
+        'basis.stateDominance': 'Dominasi State:',
+        'basis.lastState': 'State Terakhir:',
+        'basis.avgRoll2': 'Rata-rata Roll 2:',
+        'basis.avgRoll2Value': '{average} (Pusat K/B: {center})',
+        'basis.closerKecil': 'Lebih dekat KECIL',
+        'basis.closerBesar': 'Lebih dekat BESAR',
+        'basis.transitionFrom': 'Transisi dari {state}:',
+        'basis.methodology': 'Metodologi:',
+        'basis.methodologyText': 'Hybrid Scoring System, profil "{profile}" (Numeric Trend {trendWeight} × faktor {trendFactor} + State Dominance {stateWeight} + State Transition {transitionWeight} + Distance from Center {centerWeight}, pusat {center}, jarak maks {maxDistance}). Skema state "{scheme}", {kecil} ≤ {threshold}.',
+
+        // Uji statistik
+        'gof.notEnoughData': 'Data belum cukup untuk uji goodness-of-fit',
+        'gof.test.roll1Totals': 'Total Roll 1',
+        'gof.test.roll2Totals': 'Total Roll 2',
+        'gof.test.state1': 'State Roll 1',
+        'gof.test.state2': 'State Roll 2',
+        'gof.test.classification': 'Klasifikasi K/B',
+        'gof.impossible': '{count} total mustahil (&lt; 9)',
+        'gof.deviates': 'Menyimpang',
+        'gof.fits': 'Sesuai',
+        'gof.chiSquareTitle': 'Uji Chi-Square (α = 0.05, {count} game):',
+        'gof.mergeNote': 'Kategori dengan expected &lt; 5 digabung dengan kategori tetangga sebelum dihitung.',
+        'gof.stateTitle': 'State: Teoretis vs Observasi',
+        'gof.classificationTitle': 'Klasifikasi Roll 2: Teoretis vs Observasi',
+        'gof.classification': 'Klasifikasi',
+        'gof.probability': 'Probabilitas',
+        'gof.observed': 'Observasi',
+        'gof.observedRoll1': 'Observasi Roll 1',
+        'gof.observedRoll2': 'Observasi Roll 2',
+        'gof.fullDistribution': 'Distribusi lengkap per total (6-54)',
+        'fairness.empty': 'Belum ada game yang diinput per dadu',
+        'fairness.die': 'Dadu {number}',
+        'fairness.allDice': 'Semua Dadu',
+        'fairness.biased': 'Kemungkinan berat sebelah',
+        'fairness.fair': 'Wajar',
+        'fairness.gamesWithFaces': 'Game dengan nilai per dadu:',
+        'fairness.throwsPerDie': '{games} ({throws} lemparan per dadu)',
+        'fairness.dieColumn': 'Dadu',
+        'fairness.note': 'Dadu adil: tiap sisi 1/6, rata-rata 3.5. Per dadu memakai α = 0.05 / {dice} (koreksi Bonferroni), gabungan semua dadu memakai α = 0.05. Uji chi-square baru dijalankan mulai {minThrows} lemparan (ekspektasi minimal 5 per sisi).',
+        'randomness.notEnoughData': 'Data belum cukup untuk uji independensi',
+        'randomness.dependent': 'Terindikasi dependen',
+        'randomness.passed': 'Lolos',
+        'randomness.runsExact': '{runs} (harapan {expected}, eksak)',
+        'randomness.runsNormal': '{statistic} ({runs} run, harapan {expected})',
+        'randomness.classificationRuns': 'Runs Test {kecil}/{besar}',
+        'randomness.trendRuns': 'Runs Test {naik}/{turun}',
+        'randomness.autocorrelation': 'Autokorelasi Roll 2 (lag {lag})',
+        'randomness.withinGame': 'Korelasi Roll 1 → Roll 2 (dalam game)',
+        'randomness.betweenGames': 'Korelasi Roll 2 → Roll 1 berikutnya (antar game)',
+        'randomness.statistic': 'Statistik',
+        'randomness.note': 'α = 0.05. Runs test memakai distribusi eksak untuk n &lt; 50; arah "stabil" diabaikan pada runs test naik/turun. Dengan banyak uji sekaligus, sekitar 1 dari 20 uji akan ter-flag walaupun data benar-benar acak.',
+        'streak.empty': 'Belum ada data untuk analisis streak',
+        'streak.data': 'Data:',
+        'streak.dataValue': '{games} game dari {sessions} sesi (Roll 2, streak tidak menyambung antar sesi)',
+        'streak.category': 'Kategori',
+        'streak.probability': 'Peluang per Game',
+        'streak.current': 'Streak Saat Ini',
+        'streak.longest': 'Streak Terpanjang',
+        'streak.longestProbability': 'P(Terpanjang ≥ Ini)',
+        'streak.runs': 'Jumlah Run',
+        'streak.meanLength': 'Rata-rata Panjang (Teoretis)',
+        'streak.geometricTest': 'Uji Geometrik',
+        'streak.note': 'P(Terpanjang ≥ Ini) = peluang streak sepanjang itu atau lebih muncul minimal sekali dalam histori sepanjang ini bila setiap lemparan independen. Di bawah 5% ditandai ⚠️. Streak yang sedang berjalan tidak mengubah peluang game berikutnya: untuk dadu yang adil peluangnya tetap sama dengan kolom Peluang per Game.',
+        'streak.chart.length': 'Panjang run',
+        'streak.chart.observed': 'Run {category} (observasi)',
+        'streak.chart.geometric': 'Geometrik (independen)',
+
+        // Log prediksi, backtest & simulasi
+        'log.empty': 'Belum ada prakiraan yang dinilai untuk model ini ({pending} menunggu game berikutnya)',
+        'log.chipTitle': 'Prakiraan {kecil} {percent}%, aktual {actual}',
+        'log.voided': '{count} prakiraan batal karena game penilainya dihapus.',
+        'log.settings': 'Profil "{profile}", skema "{scheme}" (K ≤ {threshold}), Markov order {order} α {alpha}',
+        'log.scored': 'Prakiraan Dinilai:',
+        'log.accuracy': 'Akurasi Berjalan:',
+        'log.currentStreak': 'Streak Saat Ini:',
+        'log.recentChips': '30 Prakiraan Terakhir:',
+        'log.longest': 'Streak terpanjang: {hit} hit, {miss} miss. {pending} prakiraan menunggu game berikutnya.',
+        'log.reliability': 'Reliability per Bucket (probabilitas {kecil}):',
+        'log.count': 'Jumlah',
+        'log.meanForecast': 'Rata-rata Prakiraan',
+        'log.observedKecil': 'Frekuensi {kecil} Teramati',
+        'log.recentEntries': '10 Entri Terakhir:',
+        'log.forecastTime': 'Waktu Prakiraan',
+        'log.actual': 'Aktual',
+        'log.settingsColumn': 'Pengaturan',
+        'log.chartAxis': 'Prakiraan {kecil}',
+        'backtest.alwaysKecil': 'Selalu KECIL',
+        'backtest.coinFlip': 'Lempar Koin (50/50)',
+        'backtest.disabled': 'Klik "Jalankan Backtest" untuk menguji prediksi terhadap histori',
+        'backtest.computing': '⏳ Menghitung backtest...',
+        'backtest.notEnoughData': 'Data belum cukup untuk backtest model ini',
+        'backtest.steps': 'Jumlah Prediksi Diuji:',
+        'backtest.stepsValue': '{count} game (walk-forward, hanya memakai game sebelumnya)',
+        'backtest.actualPredicted': 'Aktual / Prediksi',
+        'backtest.conclusion': 'Kesimpulan:',
+        'backtest.beats': 'Brier score {model} lebih rendah dari semua baseline.',
+        'backtest.loses': '{model} tidak mengungguli baseline terbaik (Brier score lebih rendah = lebih baik).',
+        'sim.describe.fair': 'Dadu adil, seed {seed}',
+        'sim.describe.biased': 'Berat sebelah ({dice} dadu, bobot {weights}), seed {seed}',
+        'sim.describe.sticky': 'Sticky (ρ = {stickiness}), seed {seed}',
+        'sim.error.count': 'Jumlah game harus 10-2000',
+        'sim.error.seed': 'Seed harus bilangan bulat ≥ 0',
+        'sim.error.weights': 'Bobot sisi harus 6 angka ≥ 0, contoh: 1,1,1,1,1,2',
+        'sim.error.biasedDice': 'Jumlah dadu berat sebelah harus 1-{max}',
+        'sim.error.stickiness': 'Stickiness harus antara 0 dan 1 (tidak termasuk 1)',
+        'sim.sessionName': 'Simulasi {number}',
+        'sim.nothingToClear': 'Tidak ada data simulasi',
+        'sim.confirmClear': 'Hapus {count} game simulasi?',
+        'sim.empty': 'Belum ada simulasi yang dijalankan',
+        'sim.computing': '⏳ Menghitung backtest simulasi...',
+        'sim.expectation.fair': 'Dadu adil: tidak ada model yang seharusnya konsisten di atas 50%, dan uji keacakan seharusnya lolos.',
+        'sim.expectation.biased': 'Dadu berat sebelah: rasio {kecil}/{besar} bergeser dan uji sisi dadu seharusnya menandai dadu yang berat, tetapi urutan tetap independen.',
+        'sim.expectation.sticky': 'Proses sticky: roll berurutan berkorelasi, jadi uji keacakan seharusnya gagal dan model berbasis urutan bisa di atas 50%.',
+        'sim.groundTruth': 'Kebenaran dasar:',
+        'sim.aboveChance': 'Di atas 50%',
+        'sim.notBetter': 'Tidak lebih baik dari kebetulan',
+        'sim.check': 'Pemeriksaan',
+        'sim.kecilRate': 'Proporsi {kecil} (teoretis {theoretical}%)',
+        'sim.fairnessOverall': 'Keadilan sisi dadu (gabungan)',
+        'sim.note': 'Data simulasi disimpan di sesi terpisah (🧪), tidak bisa menjadi sesi aktif, tidak ikut diekspor, dan tidak dicatat di Log Prediksi. Seed yang sama selalu menghasilkan data yang sama.',
+
+        // CLI
+        'cli.summary': '=== RINGKASAN ===',
+        'cli.totalGames': 'Total game',
+        'cli.avgRoll1': 'Rata-rata R1',
+        'cli.avgRoll2': 'Rata-rata R2',
+        'cli.trendDominant': 'Tren dominan',
+        'cli.window': '({window})',
+        'cli.matrixTitle': '=== MATRIKS TRANSISI (Roll 2 → Roll 1 game berikutnya) ===',
+        'cli.fromTo': 'dari \\ ke',
+        'cli.predictionsTitle': '=== PREDIKSI GAME BERIKUTNYA ===',
+        'cli.skipped': 'Dilewati: {errors} baris tidak valid, {duplicates} id duplikat',
+        'cli.usage': 'Pemakaian: node cli.js <histori.csv|histori.json> [--json] [--order N] [--alpha A] [--lang id|en] [--last N | --from T] [--to T]',
+        'cli.readFailed': 'Gagal membaca {file}: {message}',
+        'cli.error.missingValue': '{option} butuh nilai',
+        'cli.error.unknownOption': 'Opsi tidak dikenal: {option}',
+        'cli.error.fileRequired': 'File histori (CSV/JSON) wajib diisi',
+        'cli.error.order': '--order harus 1, 2 atau 3',
+        'cli.error.alpha': '--alpha harus angka ≥ 0',
+        'cli.error.lang': '--lang harus salah satu dari: {locales}',
+        'cli.error.windowConflict': '--last tidak bisa digabung dengan --from/--to'
+    },
+
+    en: {
+        'locale.name': 'English',
+        'locale.tag': 'en-US',
+        'locale.label': 'Language',
+        'app.title': '🎲 Dice Roll Analysis & Prediction System',
+        'app.initFailed': 'The app failed to start: {message}',
+
+        'class.KECIL': 'SMALL',
+        'class.BESAR': 'BIG',
+        'trend.naik': 'Up',
+        'trend.turun': 'Down',
+        'trend.stabil': 'Flat',
+        'trend.dominant.naik': 'Up ↑',
+        'trend.dominant.turun': 'Down ↓',
+        'trend.dominant.stabil': 'Flat →',
+
+        'common.games': '{count} games',
+        'common.save': 'Save',
+        'common.cancel': 'Cancel',
+        'common.edit': 'Edit',
+        'common.delete': 'Delete',
+        'common.saveAs': 'Save As:',
+        'common.notEnoughData': 'Not enough data',
+        'common.test': 'Test',
+        'common.result': 'Result',
+        'common.mean': 'Mean',
+
+        'header.title': '🎲 Dice Roll Analysis System',
+        'header.subtitle': 'Based on Numeric Patterns & State Transitions',
+        'sessions.title': '🗂️ Sessions',
+        'sessions.activeLabel': 'Active Session (new games go here):',
+        'sessions.new': '➕ New Session',
+        'sessions.rename': '✏️ Rename',
+        'sessions.archive': '📦 Archive',
+        'sessions.filterLabel': 'Sessions Analysed:',
+        'window.title': '🪟 Analysis Window',
+        'window.modeLabel': 'Data Analysed:',
+        'window.modeAll': 'All history',
+        'window.modeLast': 'Last N games',
+        'window.modeRange': 'Date/time range',
+        'window.countLabel': 'Number of Recent Games:',
+        'window.fromLabel': 'From:',
+        'window.toLabel': 'To:',
+        'window.migrationNotice': 'ℹ️ Predictions now use this analysis window (all history by default) instead of always using the last 20 games.',
+        'window.migrationUseLast20': 'Use the last 20 games as before',
+        'window.migrationKeepAll': 'Keep all history',
+        'window.note': 'Every statistic, table, matrix, chart, backtest and prediction uses this window. Ranges are read from each game\'s timestamp; an empty bound means no limit.',
+        'compare.title': '⚖️ Compare Windows',
+        'compare.windowB': 'Window B (compared with the analysis window above):',
+        'compare.note': 'Δ = B − A. The windows may overlap (the last 50 games are also part of all history, for example), so the difference shows drift, not the result of a statistical test.',
+        'input.title': '📝 Game Input',
+        'input.modeTotal': 'Enter totals',
+        'input.modeDice': 'Enter each die (9 dice)',
+        'input.modeBulk': 'Paste many games',
+        'input.bulkLabel': 'Roll 1 Roll 2 pairs, separated by commas or new lines:',
+        'input.bulkPlaceholder': 'Example: 25 38, 19 44, 31 27',
+        'input.bulkCommit': '➕ Add All',
+        'input.faces1': 'Roll 1 - value of each die (1-6):',
+        'input.faces2': 'Roll 2 - value of each die (1-6):',
+        'input.roll1': 'Roll 1 (Total of 1-6 squares):',
+        'input.roll1Placeholder': 'Example: 25',
+        'input.roll2': 'Roll 2 (Total of 1-6 squares):',
+        'input.roll2Placeholder': 'Example: 38',
+        'input.submit': '➕ Add Game',
+        'summary.title': '📊 Data Summary',
+        'summary.totalGames': 'Total Games:',
+        'summary.avgRoll1': 'Roll 1 Average:',
+        'summary.avgRoll2': 'Roll 2 Average:',
+        'summary.trendDominant': 'Dominant Trend:',
+        'history.title': '📋 Game History',
+        'history.col.session': 'Session',
+        'history.col.diff': 'Difference',
+        'history.col.direction': 'Direction',
+        'history.col.classification': 'Classification',
+        'history.col.actions': 'Actions',
+        'history.clear': '🗑️ Delete All Data',
+        'io.title': '💾 Import & Export Data',
+        'io.exportCsv': '⬇️ Export CSV',
+        'io.exportJson': '⬇️ Export JSON',
+        'io.merge': 'Merge',
+        'io.replace': 'Replace all',
+        'io.import': '⬆️ Import',
+        'chart.title': '📈 History Chart',
+        'chart.timeline': 'Timeline',
+        'chart.histogram': 'Roll 2 histogram',
+        'chart.mean': 'Moving average',
+        'chart.meanWindow': 'Moving average window',
+        'chart.threshold': 'S/B threshold',
+        'chart.bands': 'Shade state bands',
+        'chart.zoomIn': 'Zoom in',
+        'chart.zoomOut': 'Zoom out',
+        'chart.reset': 'All',
+        'chart.hint': 'Scroll over the chart to zoom, drag to pan.',
+        'matrix.title': '🔄 State Transition Matrix',
+        'matrix.order': 'Markov Order:',
+        'matrix.order1': '1 (last game)',
+        'matrix.order2': '2 (last two games)',
+        'matrix.order3': '3 (last three games)',
+        'matrix.alpha': 'Dirichlet Smoothing (α):',
+        'matrix.minCount': 'Minimum Observations per Cell:',
+        'matrix.between': 'Between Games (previous Roll 2 → next Roll 1)',
+        'matrix.within': 'Within Game (Roll 1 → Roll 2)',
+        'matrix.note': 'Cells show the probability (after α smoothing), the observation count, and the 95% confidence interval (Wilson) of the raw frequency. Cells with fewer observations than the minimum are greyed out; the row context is greyed too when the row total is below it.',
+        'scheme.title': '📏 State Scheme & SMALL/BIG Threshold',
+        'scheme.active': 'Active Scheme:',
+        'scheme.bands': 'Bands (NAME:upper bound, comma separated):',
+        'scheme.threshold': 'SMALL when Roll 2 ≤:',
+        'scheme.namePlaceholder': 'New scheme name',
+        'scheme.save': '💾 Save Scheme',
+        'scheme.delete': '🗑️ Delete Scheme',
+        'profile.title': '⚙️ Prediction Weight Settings',
+        'profile.active': 'Active Profile:',
+        'profile.trendWeight': 'Numeric Trend Weight (%):',
+        'profile.stateWeight': 'State Dominance Weight (%):',
+        'profile.transitionWeight': 'State Transition Weight (%):',
+        'profile.centerWeight': 'Distance from Center Weight (%):',
+        'profile.trendFactor': 'Trend Factor (0-1):',
+        'profile.center': 'S/B Center:',
+        'profile.maxDistance': 'Maximum Distance from Center:',
+        'profile.namePlaceholder': 'New profile name',
+        'profile.save': '💾 Save Profile',
+        'profile.delete': '🗑️ Delete Profile',
+        'prediction.title': '🔮 Tendency Prediction',
+        'basis.title': '📌 Prediction Basis (Hybrid Scoring)',
+        'log.title': '📒 Prospective Prediction Log',
+        'gof.title': '📐 Theoretical 9d6 Distribution & Goodness-of-Fit',
+        'fairness.title': '🎯 Die Face Fairness',
+        'randomness.title': '🔬 Randomness & Independence Tests',
+        'streak.title': '🔁 Streaks & Run Length',
+        'streak.select': 'Run length distribution for:',
+        'backtest.title': '🧪 Prediction Backtest',
+        'backtest.run': '▶️ Run Backtest',
+        'sim.title': '🧬 Simulation',
+        'sim.mode': 'Dice Type:',
+        'sim.mode.fair': 'Fair (9d6)',
+        'sim.mode.biased': 'Biased',
+        'sim.mode.sticky': 'Sticky (correlated)',
+        'sim.games': 'Number of Games:',
+        'sim.seed': 'Seed (empty = random):',
+        'sim.seedPlaceholder': 'e.g. 42',
+        'sim.weights': 'Face Weights 1-6:',
+        'sim.biasedDice': 'Number of Biased Dice:',
+        'sim.stickiness': 'Stickiness (chance a die repeats its previous face):',
+        'sim.run': '▶️ Run Simulation',
+        'sim.clear': '🗑️ Delete Simulation Data',
+        'disclaimer.title': '⚠️ Scientific Disclaimer',
+        'disclaimer.descriptive': 'This system analyses <strong>historical patterns</strong> and <strong>state transitions</strong> in the dice roll data you have collected. Its predictions are <strong>descriptive statistical analysis</strong>, not mathematical probabilities that guarantee an outcome.',
+        'disclaimer.independent': '<strong>Important:</strong> Every dice roll is an independent event. Patterns visible in historical data do not guarantee the next roll. Use this system only as an <strong>analysis aid</strong>, never as the basis for financial decisions.',
+
+        'validation.faceRange': 'Every die must be 1-6',
+        'validation.rollRange': 'Input must be between 6-54',
+        'validation.bulkPair': 'must contain 2 numbers: Roll 1 and Roll 2',
+        'record.notObject': 'record is not an object',
+        'record.invalidId': 'invalid id ({id})',
+        'record.invalidRolls': 'rolls must be integers 6-54 (roll1={roll1}, roll2={roll2})',
+        'record.invalidTimestamp': 'invalid timestamp ({timestamp})',
+        'record.invalidFaces': 'die values are invalid or do not match the roll total',
+
+        'import.csvHeader': 'The CSV header must contain roll1 and roll2 columns',
+        'import.unknownFormat': 'Unrecognised file format',
+        'import.newerSchema': 'Schema version {version} is newer than supported ({supported})',
+        'import.row': 'Row {row}: {error}',
+        'io.readFailed': 'Could not read file: {message}',
+        'io.noValidRows': 'The file has no valid rows; data was not changed',
+        'io.chooseFile': 'Choose a CSV or JSON file first',
+        'io.confirmReplace': 'Replace all data with the file contents? Current data will be deleted.',
+        'io.result': 'Import Result:',
+        'io.resultSummary': '{imported} games imported, {duplicates} duplicates skipped, {errors} invalid rows',
+        'io.duplicateIds': 'Duplicate IDs:',
+
+        'bands.minimum': 'At least 2 bands',
+        'bands.emptyName': 'Empty band name in "{entry}"',
+        'bands.duplicate': 'Band name "{name}" is used more than once',
+        'bands.invalidName': 'Band name "{name}" may only contain letters, digits, spaces, _ and - (at most 20 characters)',
+        'bands.upperBound': 'Upper bound of band "{name}" must be an integer {min}-54',
+        'bands.lastEnd': 'The last band must end at 54',
+        'scheme.nameRequired': 'Scheme name is required',
+        'scheme.defaultReadOnly': 'The Standar scheme cannot be changed, use another name',
+        'scheme.thresholdRange': 'The SMALL/BIG threshold must be an integer 6-53',
+        'scheme.invalidBands': 'Invalid bands: {message}',
+        'scheme.defaultUndeletable': 'The Standar scheme cannot be deleted',
+        'scheme.confirmDelete': 'Delete scheme "{name}"? Data will be reclassified with the Standar scheme.',
+        'profile.nameRequired': 'Profile name is required',
+        'profile.defaultReadOnly': 'The Default profile cannot be changed, use another name',
+        'profile.notNumber': 'All values must be numbers',
+        'profile.negativeWeight': 'Weights cannot be negative',
+        'profile.zeroWeights': 'At least one weight must be greater than 0',
+        'profile.trendFactorRange': 'Trend factor must be between 0 and 1',
+        'profile.maxDistanceRange': 'Maximum distance must be greater than 0',
+        'profile.defaultUndeletable': 'The Default profile cannot be deleted',
+        'profile.confirmDelete': 'Delete profile "{name}"?',
+
+        'storage.loadFailed': 'Could not load saved data: {message}',
+        'storage.saveFailed': 'Could not save data: {message}',
+        'storage.error.blocked': 'The database is in use by an older version in another tab',
+        'storage.error.aborted': 'Transaction aborted',
+        'storage.error.notArray': 'content is not an array',
+        'storage.error.corruptJson': 'Corrupt {key} JSON: {message}',
+        'storage.confirmClearQuarantine': 'Permanently delete {count} corrupt records from quarantine?',
+        'storage.localFallback': 'localStorage (IndexedDB unavailable)',
+        'storage.localFallbackReason': 'localStorage (IndexedDB could not be opened: {message})',
+        'storage.corruptSettings': 'Corrupt saved data was moved to a .corrupt copy: {keys}',
+        'storage.offlineUnavailable': 'Offline mode is off: {message}',
+        'storage.backend': 'Storage: {backend}',
+        'storage.remoteChanges': '{count} changes from other tabs (last at {time})',
+        'storage.quarantined': '{count} corrupt records quarantined',
+        'storage.download': 'download',
+        'storage.clear': 'delete',
+        'history.confirmClear': 'Delete all data? This can be reverted with Undo (Ctrl+Z).',
+        'history.empty': 'No data yet. Enter your first game!',
+        'history.undoDropped': 'Browser storage is full: the {count} oldest undo steps were discarded.',
+        'session.defaultName': 'Main Session',
+        'session.numberedName': 'Session {number}',
+        'session.selectAtLeastOne': 'Select at least one session to analyse',
+        'session.promptNew': 'New session name:',
+        'session.promptRename': 'New name for this session:',
+        'session.lastOpen': 'The last active session cannot be archived. Create a new session first.',
+        'session.confirmArchive': 'Archive session "{name}"? Its data stays saved and can still be analysed.',
+        'session.archived': 'archived',
+        'session.unarchive': 'unarchive',
+        'window.info': 'Analysing {count} of {total} games ({window})',
+        'window.describeAll': 'all history',
+        'window.describeLast': 'last {count} games',
+        'window.describeRange': '{from} to {to}',
+        'window.invalidMode': 'Unknown analysis window mode',
+        'window.invalidCount': 'Number of games must be a whole number of at least 1',
+        'window.invalidDate': 'Invalid window date/time',
+        'window.invalidRange': 'The "From" bound must be before the "To" bound',
+        'compare.empty': 'No games in the selected sessions yet',
+        'compare.metric': 'Metric',
+        'compare.windowA': 'A: {window}',
+        'compare.windowBColumn': 'B: {window}',
+        'compare.games': 'Number of games',
+        'compare.period': 'Period',
+        'compare.avgRoll1': 'Average Roll 1',
+        'compare.avgRoll2': 'Average Roll 2',
+        'compare.classRate': '{classification} share',
+        'compare.trend': 'Dominant trend',
+        'compare.stateShare': 'Roll 2 in {state}',
+        'compare.prediction': 'Hybrid forecast {classification}',
+        'bulk.fixErrors': 'Fix {count} errors first',
+        'bulk.commit': '➕ Add {count} Games',
+
+        'trend.notEnoughData': 'Not enough data for trend analysis',
+        'trend.summaryTitle': 'Number Trend ({window}):',
+        'trend.dominance': 'Dominance:',
+        'chart.range': 'Game #{start} - #{end} of {total}',
+        'chart.observed': 'Observed',
+        'chart.theoretical': 'Theoretical',
+        'chart.legend.mean': 'R2 average ({window})',
+        'chart.legend.roll2Observed': 'Roll 2 (observed)',
+        'markov.notEnoughData': 'Not enough data for transition analysis',
+        'markov.context': 'Context',
+        'markov.cellTitle': '{count} of {total} transitions',
+
+        'predictor.hybrid': 'Hybrid Scoring',
+        'predictor.frequency': 'Frequency',
+        'predictor.markov': 'Markov (State Transition)',
+        'predictor.theoretical': 'Theoretical 9d6',
+        'predictor.hybrid.describe': 'Profile "{profile}", last state {state}',
+        'predictor.frequency.describe': '{kecil} SMALL, {besar} BIG ({window})',
+        'predictor.markov.describe': 'Order {order}, {total} transitions from {context}',
+        'predictor.theoretical.describe': 'Exact distribution of the sum of 9 dice, ignoring history',
+        'predictor.minGames': 'Not enough data (at least {count} games)',
+        'predictor.minSessionGames': 'Not enough data (at least {count} games in the session)',
+        'predictor.unseenContext': 'Context {context} has never occurred',
+        'basis.empty': 'The analysis basis appears after a prediction',
+        'basis.recommendation': 'Recommendation:',
+        'basis.confidence': '{label} ({percent}% confidence)',
+        'basis.components': 'Analysis Components:',
+        'basis.numericTrend': 'Numeric Trend:',
+        'basis.trendDown': 'Leaning down (SMALL)',
+        'basis.trendUp': 'Leaning up (BIG)',
+        'basis.stateDominance': 'State Dominance:',
+        'basis.lastState': 'Last State:',
+        'basis.avgRoll2': 'Roll 2 Average:',
+        'basis.avgRoll2Value': '{average} (S/B center: {center})',
+        'basis.closerKecil': 'Closer to SMALL',
+        'basis.closerBesar': 'Closer to BIG',
+        'basis.transitionFrom': 'Transitions from {state}:',
+        'basis.methodology': 'Methodology:',
+        'basis.methodologyText': 'Hybrid Scoring System, profile "{profile}" (Numeric Trend {trendWeight} × factor {trendFactor} + State Dominance {stateWeight} + State Transition {transitionWeight} + Distance from Center {centerWeight}, center {center}, max distance {maxDistance}). State scheme "{scheme}", {kecil} ≤ {threshold}.',
+
+        'gof.notEnoughData': 'Not enough data for goodness-of-fit tests',
+        'gof.test.roll1Totals': 'Roll 1 totals',
+        'gof.test.roll2Totals': 'Roll 2 totals',
+        'gof.test.state1': 'Roll 1 state',
+        'gof.test.state2': 'Roll 2 state',
+        'gof.test.classification': 'S/B classification',
+        'gof.impossible': '{count} impossible totals (&lt; 9)',
+        'gof.deviates': 'Deviates',
+        'gof.fits': 'Fits',
+        'gof.chiSquareTitle': 'Chi-Square Tests (α = 0.05, {count} games):',
+        'gof.mergeNote': 'Categories with expected &lt; 5 are merged with a neighbouring category before testing.',
+        'gof.stateTitle': 'State: Theoretical vs Observed',
+        'gof.classificationTitle': 'Roll 2 Classification: Theoretical vs Observed',
+        'gof.classification': 'Classification',
+        'gof.probability': 'Probability',
+        'gof.observed': 'Observed',
+        'gof.observedRoll1': 'Observed Roll 1',
+        'gof.observedRoll2': 'Observed Roll 2',
+        'gof.fullDistribution': 'Full distribution per total (6-54)',
+        'fairness.empty': 'No games entered per die yet',
+        'fairness.die': 'Die {number}',
+        'fairness.allDice': 'All Dice',
+        'fairness.biased': 'Possibly biased',
+        'fairness.fair': 'Fair',
+        'fairness.gamesWithFaces': 'Games with per-die values:',
+        'fairness.throwsPerDie': '{games} ({throws} throws per die)',
+        'fairness.dieColumn': 'Die',
+        'fairness.note': 'Fair die: each face 1/6, mean 3.5. Each die uses α = 0.05 / {dice} (Bonferroni correction), all dice combined use α = 0.05. The chi-square test runs from {minThrows} throws onwards (expected count of at least 5 per face).',
+        'randomness.notEnoughData': 'Not enough data for independence tests',
+        'randomness.dependent': 'Dependence indicated',
+        'randomness.passed': 'Passed',
+        'randomness.runsExact': '{runs} (expected {expected}, exact)',
+        'randomness.runsNormal': '{statistic} ({runs} runs, expected {expected})',
+        'randomness.classificationRuns': 'Runs Test {kecil}/{besar}',
+        'randomness.trendRuns': 'Runs Test {naik}/{turun}',
+        'randomness.autocorrelation': 'Roll 2 autocorrelation (lag {lag})',
+        'randomness.withinGame': 'Correlation Roll 1 → Roll 2 (within game)',
+        'randomness.betweenGames': 'Correlation Roll 2 → next Roll 1 (between games)',
+        'randomness.statistic': 'Statistic',
+        'randomness.note': 'α = 0.05. The runs test uses the exact distribution for n &lt; 50; "flat" directions are ignored in the up/down runs test. With many tests at once, about 1 in 20 will be flagged even when the data is truly random.',
+        'streak.empty': 'No data for streak analysis yet',
+        'streak.data': 'Data:',
+        'streak.dataValue': '{games} games from {sessions} sessions (Roll 2, streaks do not continue across sessions)',
+        'streak.category': 'Category',
+        'streak.probability': 'Chance per Game',
+        'streak.current': 'Current Streak',
+        'streak.longest': 'Longest Streak',
+        'streak.longestProbability': 'P(Longest ≥ This)',
+        'streak.runs': 'Number of Runs',
+        'streak.meanLength': 'Mean Length (Theoretical)',
+        'streak.geometricTest': 'Geometric Test',
+        'streak.note': 'P(Longest ≥ This) = the chance that a streak this long or longer appears at least once in a history this long when every throw is independent. Below 5% is marked ⚠️. A running streak does not change the chance for the next game: for a fair die it stays equal to the Chance per Game column.',
+        'streak.chart.length': 'Run length',
+        'streak.chart.observed': '{category} runs (observed)',
+        'streak.chart.geometric': 'Geometric (independent)',
+
+        'log.empty': 'No scored forecasts for this model yet ({pending} waiting for the next game)',
+        'log.chipTitle': 'Forecast {kecil} {percent}%, actual {actual}',
+        'log.voided': '{count} forecasts voided because the game that scored them was deleted.',
+        'log.settings': 'Profile "{profile}", scheme "{scheme}" (S ≤ {threshold}), Markov order {order} α {alpha}',
+        'log.scored': 'Scored Forecasts:',
+        'log.accuracy': 'Running Accuracy:',
+        'log.currentStreak': 'Current Streak:',
+        'log.recentChips': 'Last 30 Forecasts:',
+        'log.longest': 'Longest streak: {hit} hit, {miss} miss. {pending} forecasts waiting for the next game.',
+        'log.reliability': 'Reliability per Bucket ({kecil} probability):',
+        'log.count': 'Count',
+        'log.meanForecast': 'Mean Forecast',
+        'log.observedKecil': 'Observed {kecil} Frequency',
+        'log.recentEntries': 'Last 10 Entries:',
+        'log.forecastTime': 'Forecast Time',
+        'log.actual': 'Actual',
+        'log.settingsColumn': 'Settings',
+        'log.chartAxis': '{kecil} forecast',
+        'backtest.alwaysKecil': 'Always SMALL',
+        'backtest.coinFlip': 'Coin Flip (50/50)',
+        'backtest.disabled': 'Click "Run Backtest" to test predictions against the history',
+        'backtest.computing': '⏳ Computing the backtest...',
+        'backtest.notEnoughData': 'Not enough data to backtest this model',
+        'backtest.steps': 'Predictions Tested:',
+        'backtest.stepsValue': '{count} games (walk-forward, using only earlier games)',
+        'backtest.actualPredicted': 'Actual / Predicted',
+        'backtest.conclusion': 'Conclusion:',
+        'backtest.beats': 'The {model} Brier score is lower than every baseline.',
+        'backtest.loses': '{model} does not beat the best baseline (lower Brier score = better).',
+        'sim.describe.fair': 'Fair dice, seed {seed}',
+        'sim.describe.biased': 'Biased ({dice} dice, weights {weights}), seed {seed}',
+        'sim.describe.sticky': 'Sticky (ρ = {stickiness}), seed {seed}',
+        'sim.error.count': 'Number of games must be 10-2000',
+        'sim.error.seed': 'Seed must be an integer ≥ 0',
+        'sim.error.weights': 'Face weights must be 6 numbers ≥ 0, e.g. 1,1,1,1,1,2',
+        'sim.error.biasedDice': 'Number of biased dice must be 1-{max}',
+        'sim.error.stickiness': 'Stickiness must be between 0 and 1 (excluding 1)',
+        'sim.sessionName': 'Simulation {number}',
+        'sim.nothingToClear': 'There is no simulation data',
+        'sim.confirmClear': 'Delete {count} simulated games?',
+        'sim.empty': 'No simulation has been run yet',
+        'sim.computing': '⏳ Computing the simulation backtest...',
+        'sim.expectation.fair': 'Fair dice: no model should stay consistently above 50%, and the randomness tests should pass.',
+        'sim.expectation.biased': 'Biased dice: the {kecil}/{besar} ratio shifts and the die face tests should flag the loaded dice, but the sequence stays independent.',
+        'sim.expectation.sticky': 'Sticky process: consecutive rolls are correlated, so the randomness tests should fail and sequence-based models can beat 50%.',
+        'sim.groundTruth': 'Ground truth:',
+        'sim.aboveChance': 'Above 50%',
+        'sim.notBetter': 'No better than chance',
+        'sim.check': 'Check',
+        'sim.kecilRate': '{kecil} proportion (theoretical {theoretical}%)',
+        'sim.fairnessOverall': 'Die face fairness (combined)',
+        'sim.note': 'Simulated data is kept in separate sessions (🧪), cannot become the active session, is not exported, and is not recorded in the Prediction Log. The same seed always produces the same data.',
+
+        'cli.summary': '=== SUMMARY ===',
+        'cli.totalGames': 'Total games',
+        'cli.avgRoll1': 'Average R1',
+        'cli.avgRoll2': 'Average R2',
+        'cli.trendDominant': 'Dominant trend',
+        'cli.window': '({window})',
+        'cli.matrixTitle': '=== TRANSITION MATRIX (Roll 2 → next game Roll 1) ===',
+        'cli.fromTo': 'from \\ to',
+        'cli.predictionsTitle': '=== NEXT GAME PREDICTION ===',
+        'cli.skipped': 'Skipped: {errors} invalid rows, {duplicates} duplicate ids',
+        'cli.usage': 'Usage: node cli.js <history.csv|history.json> [--json] [--order N] [--alpha A] [--lang id|en] [--last N | --from T] [--to T]',
+        'cli.readFailed': 'Could not read {file}: {message}',
+        'cli.error.missingValue': '{option} needs a value',
+        'cli.error.unknownOption': 'Unknown option: {option}',
+        'cli.error.fileRequired': 'A history file (CSV/JSON) is required',
+        'cli.error.order': '--order must be 1, 2 or 3',
+        'cli.error.alpha': '--alpha must be a number ≥ 0',
+        'cli.error.lang': '--lang must be one of: {locales}',
+        'cli.error.windowConflict': '--last cannot be combined with --from/--to'
+    }
+};
+
+class DiceI18n {
+    constructor(locale = 'id') {
+        this.setLocale(locale);
+    }
+
+    setLocale(locale) {
+        // Locale yang tidak dikenal jatuh ke bahasa Indonesia
+        this.locale = MESSAGES[locale] ? locale : 'id';
+        return this.locale;
+    }
+
+    getLocales() {
+        return Object.keys(MESSAGES);
+    }
+
+    getLocaleName(locale) {
+        return MESSAGES[locale]['locale.name'];
+    }
+
+    get tag() {
+        return MESSAGES[this.locale]['locale.tag'];
+    }
+
+    t(key, params = {}) {
+        // Kunci yang belum diterjemahkan memakai teks Indonesia, lalu kunci itu sendiri
+        const template = MESSAGES[this.locale][key] || MESSAGES.id[key] || key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    formatDateTime(date) {
+        return new Date(date).toLocaleString(this.tag);
+    }
+
+    formatTime(date) {
+        return new Date(date).toLocaleTimeString(this.tag);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DiceI18n, MESSAGES };
+}
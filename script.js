@@ -2,44 +2,185 @@
 // 🎲 DICE ROLL ANALYSIS SYSTEM
 // ============================================
 
-class DiceAnalysisSystem {
+class DiceAnalysisSystem extends DiceAnalytics {
     constructor() {
-        this.games = [];
-        this.maxMemoryWindow = 20;
-        this.loadFromLocalStorage();
+        super({ i18n: new DiceI18n(localStorage.getItem('diceLocale') || 'id') });
+        this.backtestEnabled = false;
+        this.backtestPredictorId = 'hybrid';
+        this.backtestResult = null;
+        this.backtestPending = null;
+        this.logPredictorId = 'hybrid';
+        this.simulationReport = null;
+        this.streakCategory = 'KECIL';
+        this.entryMode = localStorage.getItem('diceEntryMode') || 'total';
+        this.maxUndoSteps = 50;
+        this.editingGameId = null;
+        this.storage = new DiceStorage({ i18n: this.i18n });
+        this.storage.onRemoteChange = (message) => this.handleRemoteChange(message);
+        this.quarantineCount = 0;
+        this.remoteSync = null;
+        this.corruptKeys = [];
+        this.sharedSnapshots = {};
+        this.offlineError = null;
+        this.ready = this.init().catch(err => {
+            alert(this.t('app.initFailed', { message: err.message }));
+        });
+    }
+
+    async init() {
+        this.renderLocaleSelect();
+        this.applyStaticText();
+        this.loadBinningSchemes();
+        await this.loadGames();
+        this.loadHistory();
+        this.loadSessions();
+        this.reclassifyGames();
+        this.loadScoringProfiles();
+        this.loadMarkovSettings();
+        this.loadAnalysisWindows();
+        this.loadChartSettings();
+        this.loadPredictionLog();
+        this.rescoreForecasts();
+        this.renderFaceInputs();
         this.initEventListeners();
+        this.renderEntryMode();
         this.render();
+        this.storage.listen();
+        this.registerServiceWorker();
+    }
+
+    registerServiceWorker() {
+        // Service worker hanya bisa didaftarkan lewat http(s), bukan saat index.html dibuka sebagai file
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            // Aplikasi tetap jalan, hanya tanpa mode offline
+            this.offlineError = err.message;
+            this.renderStorageStatus();
+        });
     }
 
     // ============ INITIALIZATION ============
     initEventListeners() {
+        document.getElementById('localeSelect').addEventListener('change', (e) => this.setLocale(e.target.value));
         document.getElementById('inputForm').addEventListener('submit', (e) => this.handleFormSubmit(e));
+        document.querySelectorAll('input[name="entryMode"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.setEntryMode(e.target.value));
+        });
+        document.getElementById('diceEntry').addEventListener('input', () => this.updateFaceTotals());
+        document.getElementById('bulkInput').addEventListener('input', () => this.renderBulkPreview());
+        document.getElementById('bulkCommitBtn').addEventListener('click', () => this.handleBulkCommit());
         document.getElementById('clearBtn').addEventListener('click', () => this.clearAllData());
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        document.getElementById('tableBody').addEventListener('click', (e) => this.handleTableAction(e));
+        window.addEventListener('storage', (e) => this.handleStorageEvent(e));
+        document.getElementById('storageStatus').addEventListener('click', (e) => {
+            if (e.target.dataset.action === 'download-quarantine') this.downloadQuarantine();
+            if (e.target.dataset.action === 'clear-quarantine') this.clearQuarantine();
+        });
+        document.addEventListener('keydown', (e) => this.handleKeyboardShortcut(e));
+        const chart = document.getElementById('trendChart');
+        chart.addEventListener('wheel', (e) => this.handleChartWheel(e), { passive: false });
+        chart.addEventListener('pointerdown', (e) => this.handleChartPointerDown(e));
+        chart.addEventListener('pointermove', (e) => this.handleChartPointerMove(e));
+        chart.addEventListener('pointerup', () => { this.chartDrag = null; });
+        chart.addEventListener('pointerleave', () => this.handleChartPointerLeave());
+        document.querySelectorAll('input[name="chartView"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.updateChartSettings({ view: e.target.value }));
+        });
+        document.getElementById('chartMean').addEventListener('change', (e) => this.updateChartSettings({ mean: e.target.checked }));
+        document.getElementById('chartThreshold').addEventListener('change', (e) => this.updateChartSettings({ threshold: e.target.checked }));
+        document.getElementById('chartBands').addEventListener('change', (e) => this.updateChartSettings({ bands: e.target.checked }));
+        document.getElementById('chartMeanWindow').addEventListener('change', (e) => {
+            const meanWindow = parseInt(e.target.value);
+            if (Number.isInteger(meanWindow) && meanWindow >= 2 && meanWindow <= 100) this.updateChartSettings({ meanWindow });
+            else this.renderTrendChart();
+        });
+        document.getElementById('chartZoomIn').addEventListener('click', () => this.zoomChart(0.5));
+        document.getElementById('chartZoomOut').addEventListener('click', () => this.zoomChart(2));
+        document.getElementById('chartReset').addEventListener('click', () => {
+            this.chartRange = null;
+            this.renderTrendChart();
+        });
+        window.addEventListener('resize', () => {
+            this.renderTrendChart();
+            this.renderStreaks();
+        });
+        document.getElementById('streakCategory').addEventListener('change', (e) => {
+            this.streakCategory = e.target.value;
+            this.renderStreaks();
+        });
+        document.getElementById('sessionSelect').addEventListener('change', (e) => this.setActiveSession(Number(e.target.value)));
+        document.getElementById('newSessionBtn').addEventListener('click', () => this.handleNewSession());
+        document.getElementById('renameSessionBtn').addEventListener('click', () => this.handleRenameSession());
+        document.getElementById('archiveSessionBtn').addEventListener('click', () => this.handleArchiveSession());
+        document.getElementById('sessionFilter').addEventListener('change', (e) => {
+            if (e.target.dataset.sessionId) this.toggleSessionSelection(Number(e.target.dataset.sessionId), e.target.checked);
+        });
+        document.getElementById('sessionFilter').addEventListener('click', (e) => {
+            if (e.target.dataset.unarchiveId) this.handleUnarchiveSession(Number(e.target.dataset.unarchiveId));
+        });
+        ['window', 'compare'].forEach(prefix => {
+            ['Mode', 'Count', 'From', 'To'].forEach(field => {
+                document.getElementById(`${prefix}${field}`).addEventListener('change', () => this.handleWindowChange(prefix));
+            });
+        });
+        document.getElementById('windowMigration').addEventListener('click', (e) => {
+            if (e.target.dataset.action === 'window-legacy') this.resolveWindowMigration(true);
+            if (e.target.dataset.action === 'window-keep') this.resolveWindowMigration(false);
+        });
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportData('csv'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportData('json'));
+        document.getElementById('importBtn').addEventListener('click', () => this.handleImport());
+        document.getElementById('schemeSelect').addEventListener('change', (e) => this.setActiveScheme(e.target.value));
+        document.getElementById('saveSchemeBtn').addEventListener('click', () => this.handleSaveScheme());
+        document.getElementById('deleteSchemeBtn').addEventListener('click', () => this.handleDeleteScheme());
+        document.getElementById('profileSelect').addEventListener('change', (e) => this.setActiveProfile(e.target.value));
+        document.getElementById('saveProfileBtn').addEventListener('click', () => this.handleSaveProfile());
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => this.handleDeleteProfile());
+        document.getElementById('markovOrder').addEventListener('change', (e) => this.updateMarkovSettings({ order: Number(e.target.value) }));
+        document.getElementById('markovAlpha').addEventListener('change', (e) => {
+            const alpha = parseFloat(e.target.value);
+            if (Number.isFinite(alpha) && alpha >= 0) this.updateMarkovSettings({ alpha });
+            else this.renderTransitionMatrix();
+        });
+        document.getElementById('markovMinCount').addEventListener('change', (e) => {
+            const minCount = parseInt(e.target.value);
+            if (Number.isInteger(minCount) && minCount >= 0) this.updateMarkovSettings({ minCount });
+            else this.renderTransitionMatrix();
+        });
+        document.getElementById('logModel').addEventListener('change', (e) => {
+            this.logPredictorId = e.target.value;
+            this.renderPredictionLog();
+        });
+        document.getElementById('simMode').addEventListener('change', () => this.renderSimulationOptions());
+        document.getElementById('simulateBtn').addEventListener('click', () => this.handleSimulate());
+        document.getElementById('clearSimulationsBtn').addEventListener('click', () => this.clearSimulations());
+        document.getElementById('backtestModel').addEventListener('change', (e) => {
+            this.backtestPredictorId = e.target.value;
+            this.renderBacktest();
+        });
+        document.getElementById('backtestBtn').addEventListener('click', () => {
+            this.backtestEnabled = true;
+            this.renderBacktest();
+        });
     }
 
-    // ============ STATE DETECTION ============
-    getState(roll) {
-        if (roll >= 6 && roll <= 18) return 'LOW';
-        if (roll >= 19 && roll <= 31) return 'MID';
-        if (roll >= 32 && roll <= 43) return 'HIGH';
-        if (roll >= 44 && roll <= 54) return 'EXTREME';
-        return 'UNKNOWN';
+    // ============ HTML ESCAPING ============
+    escapeHTML(value) {
+        // Teks dari file impor atau input pengguna tidak boleh ditafsirkan sebagai markup
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
+    // ============ STATE & TREND CLASSES ============
     getStateClass(state) {
-        return `state-${state.toLowerCase()}`;
-    }
-
-    getClassification(roll) {
-        return roll <= 31 ? 'KECIL' : 'BESAR';
-    }
-
-    // ============ NUMERIC TREND ============
-    calculateTrend(roll1, roll2) {
-        const diff = roll2 - roll1;
-        if (diff > 0) return { direction: 'naik', diff };
-        if (diff < 0) return { direction: 'turun', diff };
-        return { direction: 'stabil', diff };
+        const index = this.getStates().indexOf(state);
+        return index >= 0 ? `state-band-${index % 8}` : 'state-band-unknown';
     }
 
     getTrendClass(direction) {
@@ -49,494 +190,2784 @@ class DiceAnalysisSystem {
     // ============ FORM HANDLING ============
     handleFormSubmit(e) {
         e.preventDefault();
-        const roll1 = parseInt(document.getElementById('roll1').value);
-        const roll2 = parseInt(document.getElementById('roll2').value);
+        if (this.entryMode === 'bulk') return;
+        let roll1 = parseInt(document.getElementById('roll1').value);
+        let roll2 = parseInt(document.getElementById('roll2').value);
+        let faces1 = null, faces2 = null;
+
+        if (this.entryMode === 'dice') {
+            faces1 = this.readFaceInputs('faces1');
+            faces2 = this.readFaceInputs('faces2');
+            if (!faces1 || !faces2) {
+                alert(this.t('validation.faceRange'));
+                return;
+            }
+            roll1 = this.sumFaces(faces1);
+            roll2 = this.sumFaces(faces2);
+        }
 
-        if (roll1 < 6 || roll1 > 54 || roll2 < 6 || roll2 > 54) {
-            alert('Input harus antara 6-54');
+        if (!this.isValidRoll(roll1) || !this.isValidRoll(roll2)) {
+            alert(this.t('validation.rollRange'));
             return;
         }
 
-        const game = {
-            id: Date.now(),
-            roll1,
-            roll2,
-            state1: this.getState(roll1),
-            state2: this.getState(roll2),
-            trend: this.calculateTrend(roll1, roll2),
-            classification: this.getClassification(roll2),
-            timestamp: new Date()
-        };
-
-        this.games.push(game);
-        this.saveToLocalStorage();
-        this.render();
+        // Prakiraan yang sedang tampil dicatat tepat sebelum game berikutnya masuk
+        this.logForecast();
+        const game = this.createGame(roll1, roll2, { sessionId: this.activeSessionId, faces1, faces2 });
+        this.commitChange({ type: 'add', game });
 
         // Reset form
         document.getElementById('inputForm').reset();
-        document.getElementById('roll1').focus();
+        this.updateFaceTotals();
+        document.getElementById(this.entryMode === 'dice' ? 'faces1-0' : 'roll1').focus();
     }
 
-    // ============ DATA MANAGEMENT ============
-    saveToLocalStorage() {
-        localStorage.setItem('diceGames', JSON.stringify(this.games));
+    // ============ PER-DIE ENTRY ============
+    setEntryMode(mode) {
+        this.entryMode = mode;
+        localStorage.setItem('diceEntryMode', mode);
+        this.renderEntryMode();
     }
 
-    loadFromLocalStorage() {
-        const stored = localStorage.getItem('diceGames');
-        this.games = stored ? JSON.parse(stored) : [];
+    renderEntryMode() {
+        const diceMode = this.entryMode === 'dice';
+        const bulkMode = this.entryMode === 'bulk';
+        document.querySelectorAll('input[name="entryMode"]').forEach(radio => {
+            radio.checked = radio.value === this.entryMode;
+        });
+        document.getElementById('diceEntry').hidden = !diceMode;
+        document.getElementById('bulkEntry').hidden = !bulkMode;
+        document.getElementById('singleEntry').hidden = bulkMode;
+        ['roll1', 'roll2'].forEach(id => {
+            const input = document.getElementById(id);
+            input.readOnly = diceMode;
+            input.required = this.entryMode === 'total';
+        });
+        document.querySelectorAll('.face-input').forEach(input => { input.required = diceMode; });
+        this.updateFaceTotals();
     }
 
-    clearAllData() {
-        if (confirm('Hapus semua data? Tindakan ini tidak dapat dibatalkan.')) {
-            this.games = [];
-            this.saveToLocalStorage();
-            this.render();
-        }
+    renderFaceInputs() {
+        ['faces1', 'faces2'].forEach(group => {
+            document.getElementById(group).innerHTML = Array.from({ length: this.diceCount }, (_, i) => `
+                <input type="number" class="face-input" id="${group}-${i}" min="1" max="6" placeholder="${i + 1}" aria-label="${this.t('fairness.die', { number: i + 1 })}">
+            `).join('');
+        });
     }
 
-    // ============ ANALYTICS - NUMERIC TREND ============
-    getRecentGames(count = this.maxMemoryWindow) {
-        return this.games.slice(-count);
+    readFaceInputs(group) {
+        const faces = Array.from({ length: this.diceCount }, (_, i) =>
+            parseInt(document.getElementById(`${group}-${i}`).value));
+        return faces.every(face => this.isValidFace(face)) ? faces : null;
     }
 
-    analyzeTrendDirection() {
-        if (this.games.length === 0) return null;
-
-        const recentGames = this.getRecentGames();
-        let upCount = 0, downCount = 0, stableCount = 0;
-
-        recentGames.forEach(game => {
-            if (game.trend.direction === 'naik') upCount++;
-            else if (game.trend.direction === 'turun') downCount++;
-            else stableCount++;
+    updateFaceTotals() {
+        if (this.entryMode !== 'dice') return;
+        // Total dihitung otomatis dari dadu yang sudah terisi
+        ['faces1', 'faces2'].forEach((group, idx) => {
+            const faces = Array.from({ length: this.diceCount }, (_, i) =>
+                parseInt(document.getElementById(`${group}-${i}`).value)).filter(face => this.isValidFace(face));
+            document.getElementById(idx === 0 ? 'roll1' : 'roll2').value = faces.length > 0 ? this.sumFaces(faces) : '';
         });
+    }
 
-        return { upCount, downCount, stableCount };
+    // ============ BULK ENTRY ============
+    renderBulkPreview() {
+        const rows = this.parseBulkEntry(document.getElementById('bulkInput').value);
+        const valid = rows.filter(row => !row.error);
+        const invalid = rows.length - valid.length;
+        const button = document.getElementById('bulkCommitBtn');
+
+        // Batch hanya bisa disimpan utuh, jadi semua kesalahan harus diperbaiki dulu
+        button.disabled = valid.length === 0 || invalid > 0;
+        button.textContent = invalid > 0
+            ? this.t('bulk.fixErrors', { count: invalid })
+            : this.t('bulk.commit', { count: valid.length });
+
+        document.getElementById('bulkPreview').innerHTML = rows.length === 0 ? '' : `
+            <ol class="bulk-rows">
+                ${rows.map(row => row.error ? `
+                    <li class="bulk-error">#${row.index} "${this.escapeHTML(row.text)}": ${row.error}</li>
+                ` : `
+                    <li>#${row.index} ${row.roll1} → ${row.roll2} (${this.formatClassification(this.getClassification(row.roll2))})</li>
+                `).join('')}
+            </ol>
+        `;
     }
 
-    getTrendDominant() {
-        const trendAnalysis = this.analyzeTrendDirection();
-        if (!trendAnalysis) return '-';
+    handleBulkCommit() {
+        const rows = this.parseBulkEntry(document.getElementById('bulkInput').value);
+        if (rows.length === 0 || rows.some(row => row.error)) return;
+
+        this.logForecast();
+        // Id dan timestamp berurutan agar urutan tempel tetap terjaga
+        const base = Date.now();
+        const firstId = this.getNextGameId();
+        const games = rows.map((row, i) => this.createGame(row.roll1, row.roll2, {
+            id: firstId + i,
+            timestamp: new Date(base + i),
+            sessionId: this.activeSessionId
+        }));
+
+        // Satu perubahan untuk seluruh batch: satu kali tulis dan satu langkah undo
+        this.commitChange({ type: 'addBatch', games });
+
+        document.getElementById('bulkInput').value = '';
+        this.renderBulkPreview();
+    }
 
-        if (trendAnalysis.upCount > trendAnalysis.downCount && trendAnalysis.upCount > trendAnalysis.stableCount)
-            return 'Naik ↑';
-        if (trendAnalysis.downCount > trendAnalysis.upCount && trendAnalysis.downCount > trendAnalysis.stableCount)
-            return 'Turun ↓';
-        return 'Stabil →';
+    // ============ DATA MANAGEMENT ============
+    readStoredJSON(key, fallback) {
+        // Nilai rusak tidak boleh menghentikan aplikasi: dipindah ke key "<key>.corrupt" lalu pakai default
+        const raw = localStorage.getItem(key);
+        if (raw === null) return fallback;
+        try {
+            const value = JSON.parse(raw);
+            if (Array.isArray(value) !== Array.isArray(fallback) || typeof value !== typeof fallback || value === null) {
+                throw new Error('bentuk data tidak sesuai');
+            }
+            return value;
+        } catch (err) {
+            if (!this.corruptKeys.includes(key)) this.corruptKeys.push(key);
+            localStorage.setItem(`${key}.corrupt`, raw);
+            localStorage.removeItem(key);
+            return fallback;
+        }
     }
 
-    // ============ ANALYTICS - STATE TRANSITION ============
-    buildTransitionMatrix() {
-        if (this.games.length < 2) return null;
+    readSharedList(key, fallback = []) {
+        // Daftar yang dibagi antar tab: isi saat dibaca dicatat sebagai dasar gabungan berikutnya
+        const list = this.readStoredJSON(key, fallback);
+        this.sharedSnapshots[key] = this.snapshotList(list);
+        return list;
+    }
 
-        const states = ['LOW', 'MID', 'HIGH', 'EXTREME'];
-        const matrix = {};
+    writeSharedList(key, local) {
+        // Dibaca ulang tepat sebelum ditulis, agar perubahan tab lain sejak pembacaan terakhir tidak tertimpa
+        const merged = this.mergeStoredList(this.readStoredJSON(key, []), this.sharedSnapshots[key] || new Map(), local);
+        localStorage.setItem(key, JSON.stringify(merged));
+        this.sharedSnapshots[key] = this.snapshotList(merged);
+        return merged;
+    }
 
-        states.forEach(from => {
-            matrix[from] = {};
-            states.forEach(to => {
-                matrix[from][to] = 0;
+    async loadGames() {
+        const games = [];
+        try {
+            await this.storage.open();
+            const corrupted = [];
+            (await this.storage.loadRecords()).forEach(record => {
+                const { game, error } = this.deserializeGame(record);
+                if (game) games.push(game);
+                else corrupted.push({ record, reason: error });
             });
-        });
 
-        for (let i = 1; i < this.games.length; i++) {
-            const fromState = this.games[i - 1].state2;
-            const toState = this.games[i].state1;
-            matrix[fromState][toState]++;
+            // Record rusak dikarantina dan dikeluarkan dari penyimpanan utama, bukan menggagalkan start
+            if (corrupted.length > 0) {
+                await this.storage.quarantine(corrupted);
+                await this.storage.writeChanges({
+                    remove: corrupted.map(c => c.record && c.record.id).filter(Number.isFinite)
+                });
+            }
+            this.quarantineCount = (await this.storage.getQuarantine()).length;
+        } catch (err) {
+            alert(this.t('storage.loadFailed', { message: err.message }));
         }
 
-        return matrix;
+        this.games = this.sortGames(games);
+    }
+
+    persistGameOps({ put = [], remove = [] }) {
+        this.storage.writeChanges({ put: put.map(game => this.serializeGame(game)), remove })
+            .catch(err => alert(this.t('storage.saveFailed', { message: err.message })));
+    }
+
+    // ============ MULTI-TAB SYNC ============
+    handleRemoteChange({ put = [], remove = [] }) {
+        // Tab lain sudah menulis ke penyimpanan; di sini hanya memori yang diperbarui.
+        // Perubahan terakhir untuk sebuah id selalu menang, sama seperti di penyimpanan.
+        const games = put.map(record => this.deserializeGame(record).game).filter(Boolean);
+        this.applyGameOps({ put: games, remove });
+        if (remove.includes(this.editingGameId)) this.editingGameId = null;
+
+        // Sesi baru (mis. dari impor atau simulasi) disimpan sebelum game-nya ditulis
+        this.syncSessions();
+        this.remoteSync = {
+            count: (this.remoteSync ? this.remoteSync.count : 0) + put.length + remove.length,
+            at: new Date()
+        };
+        this.reclassifyGames();
+        this.rescoreForecasts();
+        this.render();
+    }
+
+    handleStorageEvent(e) {
+        // Game disinkronkan lewat DiceStorage; daftar lain di localStorage dibaca ulang saat tab lain menulisnya
+        if (e.key === 'diceSessions') this.syncSessions();
+        else if (e.key === 'dicePredictionLog') this.loadPredictionLog();
+        else if (e.key === 'diceUndoStack' || e.key === 'diceRedoStack') this.loadHistory();
+        else return;
+        this.render();
     }
 
-    getStateTransitionProbability(fromState) {
-        const matrix = this.buildTransitionMatrix();
-        if (!matrix) return null;
+    syncSessions() {
+        // Hanya daftar sesi yang dibagi antar tab; sesi aktif dan pilihan analisis tetap per tab
+        this.sessions = this.readSharedList('diceSessions', this.sessions);
+        this.ensureOpenSession();
+        this.games.forEach(game => this.ensureSession(game.sessionId));
+        if (!this.getOpenSessions().some(s => s.id === this.activeSessionId)) {
+            this.activeSessionId = this.getOpenSessions()[0].id;
+        }
+        this.selectedSessionIds = this.selectedSessionIds.filter(id => this.sessions.some(s => s.id === id));
+        if (this.selectedSessionIds.length === 0) this.selectedSessionIds = [this.activeSessionId];
+    }
 
-        const transitions = matrix[fromState];
-        const total = Object.values(transitions).reduce((a, b) => a + b, 0);
+    async downloadQuarantine() {
+        const entries = await this.storage.getQuarantine();
+        const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dice-quarantine-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
 
-        if (total === 0) return null;
+    async clearQuarantine() {
+        if (!confirm(this.t('storage.confirmClearQuarantine', { count: this.quarantineCount }))) return;
+        await this.storage.clearQuarantine();
+        this.quarantineCount = 0;
+        this.renderStorageStatus();
+    }
 
-        const probability = {};
-        for (const [toState, count] of Object.entries(transitions)) {
-            probability[toState] = Math.round((count / total) * 100);
+    clearAllData() {
+        if (confirm(this.t('history.confirmClear'))) {
+            this.commitChange({ type: 'replace', before: this.games, after: [] });
         }
+    }
+
+    // ============ EDIT / DELETE / UNDO ============
+    loadHistory() {
+        // Stack berisi record tersimpan (lihat saveHistory) dan dibagi antar tab
+        this.undoStack = this.readSharedHistory('diceUndoStack');
+        this.redoStack = this.readSharedHistory('diceRedoStack');
+    }
 
-        return probability;
+    readSharedHistory(key) {
+        // Langkah lama tanpa id diberi id dari posisinya, lalu langsung ditulis agar semua tab memakai id yang sama
+        const stored = this.readStoredJSON(key, []);
+        if (stored.some(change => !change.id)) {
+            localStorage.setItem(key, JSON.stringify(stored.map((change, i) => change.id ? change : { ...change, id: `${key}-${i}` })));
+        }
+        return this.readSharedList(key).map(change => this.reviveChange(change)).filter(Boolean);
     }
 
-    // ============ ANALYTICS - CLASSIFICATION FREQUENCY ============
-    getClassificationFrequency() {
-        if (this.games.length === 0) return { KECIL: 0, BESAR: 0 };
+    reviveChange(change) {
+        // Langkah dengan record rusak dibuang
+        let valid = true;
+        const revived = this.mapChangeGames(change, record => {
+            const { game } = this.deserializeGame(record);
+            if (!game) valid = false;
+            return game;
+        });
+        // Stack lama bisa berisi snapshot "replace" penuh
+        return valid ? this.compactChange(revived) : null;
+    }
 
-        const recent = this.getRecentGames();
-        let kecilCount = 0, besarCount = 0;
+    saveHistory() {
+        // Game disimpan sebagai record tanpa field turunan; kalau kuota localStorage penuh,
+        // langkah undo tertua dibuang dan pengguna diberi tahu
+        const write = (key, stack) => {
+            const live = new Map(stack.map(change => [change.id, change]));
+            const merged = this.writeSharedList(key, stack.map(change => this.mapChangeGames(change, game => this.serializeGame(game))));
+            // Langkah dari tab lain dihidupkan kembali; langkah milik tab ini tetap objek yang sama
+            return merged.map(change => live.get(change.id) || this.reviveChange(change)).filter(Boolean);
+        };
+        let dropped = 0;
+        for (;;) {
+            try {
+                this.undoStack = write('diceUndoStack', this.undoStack);
+                this.redoStack = write('diceRedoStack', this.redoStack);
+                break;
+            } catch (err) {
+                if (this.undoStack.length > 0) this.undoStack.shift();
+                else if (this.redoStack.length > 0) this.redoStack.shift();
+                else break;
+                dropped++;
+            }
+        }
+        if (dropped > 0) alert(this.t('history.undoDropped', { count: dropped }));
+    }
 
-        recent.forEach(game => {
-            if (game.classification === 'KECIL') kecilCount++;
-            else besarCount++;
+    mapChangeGames(change, map) {
+        const mapped = { ...change };
+        ['game', 'games', 'before', 'after'].forEach(key => {
+            if (change[key]) mapped[key] = Array.isArray(change[key]) ? change[key].map(map) : map(change[key]);
         });
+        return mapped;
+    }
 
-        return { KECIL: kecilCount, BESAR: besarCount };
+    compactChange(change) {
+        // "replace" hanya menyimpan game yang benar-benar berubah, bukan dua salinan seluruh histori;
+        // getChangeOps menghasilkan put/remove yang sama untuk versi ringkas ini
+        if (change.type !== 'replace') return change;
+        const { put, remove } = this.getChangeOps(change, false);
+        const touched = new Set([...put.map(g => g.id), ...remove]);
+        return { ...change, before: change.before.filter(g => touched.has(g.id)), after: put };
     }
 
-    // ============ ANALYTICS - STATE DOMINANCE ============
-    getStateDominance() {
-        if (this.games.length === 0) return {};
+    applyChange(change, reverse = false) {
+        // Memori dan penyimpanan memakai operasi per id yang sama, sehingga undo tidak menghapus game dari tab lain
+        const ops = this.getChangeOps(change, reverse);
+        this.applyGameOps(ops);
+        this.persistGameOps(ops);
+    }
 
-        const recent = this.getRecentGames();
-        const stateCounts = { LOW: 0, MID: 0, HIGH: 0, EXTREME: 0 };
+    commitChange(change) {
+        // Id langkah dipakai untuk menggabungkan stack undo/redo antar tab
+        const compact = { ...this.compactChange(change), id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}` };
+        this.applyChange(compact);
+        this.undoStack.push(compact);
+        if (this.undoStack.length > this.maxUndoSteps) this.undoStack.shift();
+        this.redoStack = [];
+        this.afterHistoryChange();
+    }
 
-        recent.forEach(game => {
-            stateCounts[game.state2]++;
-        });
+    undo() {
+        const change = this.undoStack.pop();
+        if (!change) return;
+        this.applyChange(change, true);
+        this.redoStack.push(change);
+        this.afterHistoryChange();
+    }
 
-        return stateCounts;
+    redo() {
+        const change = this.redoStack.pop();
+        if (!change) return;
+        this.applyChange(change);
+        this.undoStack.push(change);
+        this.afterHistoryChange();
     }
 
-    getLastState() {
-        if (this.games.length === 0) return null;
-        return this.games[this.games.length - 1].state2;
+    afterHistoryChange() {
+        this.editingGameId = null;
+        // Snapshot di undo stack bisa berasal dari skema state yang lain
+        this.reclassifyGames();
+        this.saveHistory();
+        this.rescoreForecasts();
+        this.render();
     }
 
-    // ============ PREDICTION LOGIC ============
-    predictNextOutcome() {
-        if (this.games.length < 5) {
-            return { canPredict: false, reason: 'Data belum cukup (minimal 5 game)' };
+    handleKeyboardShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // Biarkan undo bawaan browser bekerja di dalam field input
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && e.shiftKey || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        } else if (key === 'z') {
+            e.preventDefault();
+            this.undo();
         }
+    }
 
-        const trendAnalysis = this.analyzeTrendDirection();
-        const stateDominance = this.getStateDominance();
-        const lastState = this.getLastState();
-        const stateTransitionProb = this.getStateTransitionProbability(lastState);
-        const classificationFreq = this.getClassificationFrequency();
-        const avgRoll2 = this.games.reduce((sum, g) => sum + g.roll2, 0) / this.games.length;
+    handleTableAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const id = Number(button.dataset.id);
+        const game = this.games.find(g => g.id === id);
+        if (!game) return;
+
+        switch (button.dataset.action) {
+            case 'edit':
+                this.editingGameId = id;
+                this.renderTable();
+                break;
+            case 'cancel':
+                this.editingGameId = null;
+                this.renderTable();
+                break;
+            case 'save':
+                this.saveGameEdit(game);
+                break;
+            case 'delete':
+                this.commitChange({ type: 'delete', game });
+                break;
+        }
+    }
 
-        // ============ HYBRID SCORING ============
-        let kecilScore = 0;
-        let besarScore = 0;
+    saveGameEdit(game) {
+        const roll1 = parseInt(document.getElementById('editRoll1').value);
+        const roll2 = parseInt(document.getElementById('editRoll2').value);
 
-        // 1️⃣ Numeric Trend Component (25%)
-        const trendWeight = 0.25;
-        if (trendAnalysis.downCount > trendAnalysis.upCount) {
-            kecilScore += trendWeight * 0.6; // Tren turun → cenderung kecil
-        } else {
-            besarScore += trendWeight * 0.6;
+        if (!this.isValidRoll(roll1) || !this.isValidRoll(roll2)) {
+            alert(this.t('validation.rollRange'));
+            return;
         }
 
-        // 2️⃣ State Dominance Component (30%)
-        const stateWeight = 0.30;
-        const totalStateCount = Object.values(stateDominance).reduce((a, b) => a + b, 0);
-        const lowMidDominance = (stateDominance.LOW + stateDominance.MID) / totalStateCount || 0;
-        const highExtremeDominance = (stateDominance.HIGH + stateDominance.EXTREME) / totalStateCount || 0;
+        // Nilai dadu hanya dipertahankan kalau totalnya tidak berubah
+        const keepFaces = game.faces1 && roll1 === game.roll1 && roll2 === game.roll2;
+        const edited = this.createGame(roll1, roll2, {
+            id: game.id,
+            timestamp: game.timestamp,
+            sessionId: game.sessionId,
+            faces1: keepFaces ? game.faces1 : null,
+            faces2: keepFaces ? game.faces2 : null
+        });
+        this.commitChange({ type: 'edit', before: game, after: edited });
+    }
+
+    // ============ SESSIONS ============
+    loadSessions() {
+        this.sessions = this.readSharedList('diceSessions');
+
+        // Migrasi: game lama tanpa sessionId masuk ke sesi default
+        this.ensureOpenSession();
+        const fallbackId = this.getOpenSessions()[0].id;
+        const migrated = [];
+        this.games.forEach(game => {
+            if (game.sessionId === undefined || game.sessionId === null) {
+                game.sessionId = fallbackId;
+                migrated.push(game);
+            }
+        });
+        // Daftar sesi yang rusak atau hilang tidak boleh menyembunyikan game: sesinya dibuat ulang dari id di game
+        this.games.forEach(game => this.ensureSession(game.sessionId));
 
-        kecilScore += stateWeight * lowMidDominance;
-        besarScore += stateWeight * highExtremeDominance;
+        const active = Number(localStorage.getItem('diceActiveSession'));
+        const activeSession = this.sessions.find(s => s.id === active && !s.archived && !s.simulated);
+        this.activeSessionId = activeSession ? activeSession.id : this.getOpenSessions()[0].id;
 
-        // 3️⃣ State Transition Component (25%)
-        const transitionWeight = 0.25;
-        if (stateTransitionProb) {
-            const lowMidTransitionProb = ((stateTransitionProb['LOW'] || 0) + (stateTransitionProb['MID'] || 0)) / 100 || 0;
-            const highExtremeTransitionProb = ((stateTransitionProb['HIGH'] || 0) + (stateTransitionProb['EXTREME'] || 0)) / 100 || 0;
+        const selected = this.readStoredJSON('diceSelectedSessions', []);
+        this.selectedSessionIds = selected.filter(id => this.sessions.some(s => s.id === id));
+        if (this.selectedSessionIds.length === 0) this.selectedSessionIds = [this.activeSessionId];
 
-            kecilScore += transitionWeight * lowMidTransitionProb;
-            besarScore += transitionWeight * highExtremeTransitionProb;
-        }
+        this.saveSessions();
+        if (migrated.length > 0) this.persistGameOps({ put: migrated });
+    }
 
-        // 4️⃣ Distance from Center Component (20%)
-        const centerWeight = 0.20;
-        const CENTER = 30; // Titik tengah K-B
-        const distanceFromCenter = Math.abs(avgRoll2 - CENTER);
-        const maxDistance = 24; // Jarak maksimal dari center
+    saveSessions() {
+        this.sessions = this.writeSharedList('diceSessions', this.sessions);
+        localStorage.setItem('diceActiveSession', String(this.activeSessionId));
+        localStorage.setItem('diceSelectedSessions', JSON.stringify(this.selectedSessionIds));
+    }
 
-        if (avgRoll2 < CENTER) {
-            kecilScore += centerWeight * (1 - distanceFromCenter / maxDistance);
-        } else {
-            besarScore += centerWeight * (1 - distanceFromCenter / maxDistance);
+    createSession(name) {
+        let id = Date.now();
+        while ((this.sessions || []).some(s => s.id === id)) id++;
+        return { id, name, archived: false, createdAt: new Date() };
+    }
+
+    ensureSession(id) {
+        if (!this.sessions.some(s => s.id === id)) {
+            this.sessions.push({ ...this.createSession(this.t('session.numberedName', { number: id })), id });
         }
+    }
 
-        // ============ NORMALIZATION ============
-        const totalScore = kecilScore + besarScore;
-        const kecilPercent = Math.round((kecilScore / totalScore) * 100);
-        const besarPercent = 100 - kecilPercent;
+    getSession(id) {
+        return this.sessions.find(s => s.id === id);
+    }
 
-        return {
-            canPredict: true,
-            KECIL: kecilPercent,
-            BESAR: besarPercent,
-            reasoning: {
-                trendDirection: trendAnalysis,
-                stateDominance,
-                lastState,
-                stateTransitionProb,
-                avgRoll2: Math.round(avgRoll2 * 10) / 10
-            }
-        };
+    getOpenSessions() {
+        // Sesi simulasi tidak bisa jadi sesi aktif agar tidak tercampur dengan input nyata
+        return this.sessions.filter(s => !s.archived && !s.simulated);
     }
 
-    // ============ RENDER ============
-    render() {
-        this.renderStats();
-        this.renderTable();
-        this.renderTrendChart();
-        this.renderTransitionMatrix();
-        this.renderPrediction();
+    ensureOpenSession() {
+        // Harus selalu ada satu sesi nyata yang terbuka; dipanggil setiap kali daftar sesi dimuat
+        if (this.getOpenSessions().length > 0) return;
+        const real = this.sessions.find(s => !s.simulated);
+        if (real) real.archived = false;
+        else this.sessions.push(this.createSession(this.t('session.defaultName')));
     }
 
-    renderStats() {
-        document.getElementById('totalGames').textContent = this.games.length;
+    isSimulatedGame(game) {
+        const session = this.getSession(game.sessionId);
+        return Boolean(session && session.simulated);
+    }
 
-        if (this.games.length === 0) {
-            document.getElementById('avgRoll1').textContent = '0';
-            document.getElementById('avgRoll2').textContent = '0';
-            document.getElementById('trendDominant').textContent = '-';
-            return;
-        }
+    getSessionGames() {
+        const selected = new Set(this.selectedSessionIds);
+        return this.games.filter(game => selected.has(game.sessionId));
+    }
 
-        const avgRoll1 = (this.games.reduce((sum, g) => sum + g.roll1, 0) / this.games.length).toFixed(1);
-        const avgRoll2 = (this.games.reduce((sum, g) => sum + g.roll2, 0) / this.games.length).toFixed(1);
+    getAnalysisGames() {
+        return this.applyAnalysisWindow(this.getSessionGames());
+    }
 
-        document.getElementById('avgRoll1').textContent = avgRoll1;
-        document.getElementById('avgRoll2').textContent = avgRoll2;
-        document.getElementById('trendDominant').textContent = this.getTrendDominant();
+    setActiveSession(id) {
+        this.activeSessionId = id;
+        this.selectedSessionIds = [id];
+        this.saveSessions();
+        this.render();
     }
 
-    renderTable() {
-        const tbody = document.getElementById('tableBody');
+    toggleSessionSelection(id, checked) {
+        const selected = new Set(this.selectedSessionIds);
+        if (checked) selected.add(id);
+        else selected.delete(id);
 
-        if (this.games.length === 0) {
-            tbody.innerHTML = '<tr class="empty-state"><td colspan="8">Data kosong. Mulai input game pertama Anda!</td></tr>';
+        if (selected.size === 0) {
+            alert(this.t('session.selectAtLeastOne'));
+            this.renderSessions();
             return;
         }
 
-        tbody.innerHTML = this.games.map((game, idx) => `
-            <tr>
-                <td><strong>#${idx + 1}</strong></td>
-                <td>${game.roll1}</td>
-                <td><span class="state-badge ${this.getStateClass(game.state1)}">${game.state1}</span></td>
-                <td>${game.roll2}</td>
-                <td><span class="state-badge ${this.getStateClass(game.state2)}">${game.state2}</span></td>
-                <td>${game.trend.diff > 0 ? '+' : ''}${game.trend.diff}</td>
-                <td><span class="${this.getTrendClass(game.trend.direction)}">${game.trend.direction.toUpperCase()}</span></td>
-                <td><strong>${game.classification}</strong></td>
-            </tr>
-        `).join('');
+        this.selectedSessionIds = this.sessions.map(s => s.id).filter(sessionId => selected.has(sessionId));
+        this.saveSessions();
+        this.render();
     }
 
-    renderTrendChart() {
-        const canvas = document.getElementById('trendChart');
-        const ctx = canvas.getContext('2d');
-        const recent = this.getRecentGames(15);
+    handleNewSession() {
+        const name = prompt(this.t('session.promptNew'), this.t('session.numberedName', { number: this.sessions.length + 1 }));
+        if (!name || !name.trim()) return;
+
+        const session = this.createSession(name.trim());
+        this.sessions.push(session);
+        this.setActiveSession(session.id);
+    }
+
+    handleRenameSession() {
+        const session = this.getSession(this.activeSessionId);
+        const name = prompt(this.t('session.promptRename'), session.name);
+        if (!name || !name.trim()) return;
+
+        session.name = name.trim();
+        this.saveSessions();
+        this.render();
+    }
 
-        if (recent.length === 0) {
-            document.getElementById('trendSummary').innerHTML = '<p class="empty-state">Data belum cukup untuk analisis tren</p>';
+    handleArchiveSession() {
+        const session = this.getSession(this.activeSessionId);
+        const openSessions = this.getOpenSessions();
+        if (openSessions.length === 1) {
+            alert(this.t('session.lastOpen'));
             return;
         }
+        if (!confirm(this.t('session.confirmArchive', { name: session.name }))) return;
 
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        session.archived = true;
+        const next = this.getOpenSessions()[0];
+        this.selectedSessionIds = this.selectedSessionIds.filter(id => id !== session.id);
+        this.setActiveSession(next.id);
+    }
 
-        const padding = 50;
-        const chartWidth = canvas.width - 2 * padding;
-        const chartHeight = canvas.height - 2 * padding;
-
-        // Setup
-        const maxValue = 54;
-        const minValue = 6;
-        const dataPoints = recent.map((g, idx) => ({
-            idx,
-            roll1: g.roll1,
-            roll2: g.roll2
-        }));
+    handleUnarchiveSession(id) {
+        this.getSession(id).archived = false;
+        this.saveSessions();
+        this.render();
+    }
 
-        // Draw grid
-        ctx.strokeStyle = '#ddd';
-        ctx.lineWidth = 1;
-        for (let i = 0; i <= 5; i++) {
-            const y = padding + (chartHeight / 5) * i;
-            ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(canvas.width - padding, y);
-            ctx.stroke();
+    // ============ IMPORT / EXPORT ============
+    exportData(format) {
+        const date = new Date().toISOString().slice(0, 10);
+        // Data simulasi tidak ikut diekspor
+        const games = this.games.filter(g => !this.isSimulatedGame(g));
+        const content = format === 'csv' ? this.toCSV(games) : this.toJSON(games);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dice-games-${date}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    importData(text, mode) {
+        let imported;
+        try {
+            imported = this.parseImport(text);
+        } catch (err) {
+            return { ok: false, message: this.t('io.readFailed', { message: err.message }) };
         }
 
-        // Draw lines
-        ctx.lineWidth = 2;
+        const existingIds = mode === 'merge' ? this.games.map(g => g.id) : [];
+        const { games, errors, duplicates } = this.validateImportRows(imported.games, existingIds);
 
-        // Roll 1 (Blue)
-        ctx.strokeStyle = '#3498db';
-        ctx.beginPath();
-        dataPoints.forEach((point, i) => {
-            const x = padding + (chartWidth / (dataPoints.length - 1)) * i;
-            const y = padding + chartHeight - ((point.roll1 - minValue) / (maxValue - minValue)) * chartHeight;
-            if (i === 0) ctx.moveTo(x, y);
-            else ctx.lineTo(x, y);
-        });
-        ctx.stroke();
+        // Tanpa baris valid tidak ada yang diubah; mode ganti tidak boleh mengosongkan histori
+        if (games.length === 0) {
+            return { ok: false, message: this.t('io.noValidRows'), errors };
+        }
 
-        // Roll 2 (Red)
-        ctx.strokeStyle = '#e74c3c';
-        ctx.beginPath();
-        dataPoints.forEach((point, i) => {
-            const x = padding + (chartWidth / (dataPoints.length - 1)) * i;
-            const y = padding + chartHeight - ((point.roll2 - minValue) / (maxValue - minValue)) * chartHeight;
-            if (i === 0) ctx.moveTo(x, y);
-            else ctx.lineTo(x, y);
+        // Sesi dari file selalu digabung; hanya field yang dikenal yang diambil dari file
+        imported.sessions.forEach(session => {
+            const id = Number(session && session.id);
+            // Ekspor lama ikut membawa sesi simulasi tanpa game-nya
+            if (!Number.isFinite(id) || session.simulated || this.sessions.some(s => s.id === id)) return;
+            const name = typeof session.name === 'string' && session.name.trim()
+                ? session.name.trim()
+                : this.t('session.numberedName', { number: id });
+            this.sessions.push({ id, name, archived: session.archived === true });
         });
-        ctx.stroke();
+        games.forEach(game => this.ensureSession(game.sessionId));
+        this.saveSessions();
 
-        // Draw axes
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(padding, padding);
-        ctx.lineTo(padding, canvas.height - padding);
-        ctx.lineTo(canvas.width - padding, canvas.height - padding);
-        ctx.stroke();
+        // Gabung hanya menambah game baru (id yang sudah ada dilewati sebagai duplikat)
+        this.commitChange(mode === 'replace'
+            ? { type: 'replace', before: this.games, after: games }
+            : { type: 'addBatch', games });
 
-        // Labels
-        ctx.fillStyle = '#333';
-        ctx.font = '12px Arial';
-        ctx.textAlign = 'center';
-        for (let i = 0; i <= 5; i++) {
-            const value = minValue + (maxValue - minValue) * (i / 5);
-            const y = padding + chartHeight - (chartHeight / 5) * i;
-            ctx.fillText(Math.round(value), padding - 30, y + 5);
+        return { ok: true, imported: games.length, errors, duplicates };
+    }
+
+    handleImport() {
+        const fileInput = document.getElementById('importFile');
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        const file = fileInput.files[0];
+
+        if (!file) {
+            alert(this.t('io.chooseFile'));
+            return;
+        }
+        if (mode === 'replace' && !confirm(this.t('io.confirmReplace'))) {
+            return;
         }
 
-        // Legend
-        ctx.fillStyle = '#3498db';
-        ctx.fillRect(canvas.width - 150, 10, 15, 15);
-        ctx.fillStyle = '#333';
-        ctx.textAlign = 'left';
-        ctx.fillText('Roll 1', canvas.width - 130, 22);
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = this.importData(reader.result, mode);
+            this.renderImportResult(result);
+            fileInput.value = '';
+        };
+        reader.readAsText(file);
+    }
 
-        ctx.fillStyle = '#e74c3c';
-        ctx.fillRect(canvas.width - 150, 30, 15, 15);
-        ctx.fillStyle = '#333';
-        ctx.fillText('Roll 2', canvas.width - 130, 42);
+    // ============ BINNING SCHEMES ============
+    loadBinningSchemes() {
+        const schemes = this.readStoredJSON('diceBinningSchemes', []);
+        // Skema Standar selalu ada dan tidak bisa ditimpa; skema tersimpan dengan nama band tak aman dibuang
+        const valid = (Array.isArray(schemes) ? schemes : []).filter(s => s && s.name !== 'Standar'
+            && Array.isArray(s.bands) && s.bands.every(band => this.isValidBandName(band && band.name)));
+        this.binningSchemes = [this.getDefaultScheme(), ...valid];
 
-        // Render summary
-        const trendAnalysis = this.analyzeTrendDirection();
-        const summary = `
-            <div class="analysis-point">
-                <strong>Tren Angka (${recent.length} game terakhir):</strong><br>
-                Naik: ${trendAnalysis.upCount} | Turun: ${trendAnalysis.downCount} | Stabil: ${trendAnalysis.stableCount}
-            </div>
-            <div class="analysis-point">
-                <strong>Dominasi:</strong> <span class="${this.getTrendClass(this.getTrendDominant().includes('↑') ? 'naik' : this.getTrendDominant().includes('↓') ? 'turun' : 'stabil')}">${this.getTrendDominant()}</span>
-            </div>
-        `;
-        document.getElementById('trendSummary').innerHTML = summary;
+        const active = localStorage.getItem('diceActiveScheme');
+        this.activeSchemeName = this.binningSchemes.some(s => s.name === active) ? active : 'Standar';
     }
 
-    renderTransitionMatrix() {
-        const matrix = this.buildTransitionMatrix();
-        const container = document.getElementById('transitionMatrix');
+    saveBinningSchemes() {
+        const customSchemes = this.binningSchemes.filter(s => s.name !== 'Standar');
+        localStorage.setItem('diceBinningSchemes', JSON.stringify(customSchemes));
+        localStorage.setItem('diceActiveScheme', this.activeSchemeName);
+    }
+
+    setActiveScheme(name) {
+        this.activeSchemeName = name;
+        this.saveBinningSchemes();
+        this.reclassifyGames();
+        this.render();
+    }
 
-        if (!matrix || this.games.length < 2) {
-            container.innerHTML = '<p class="empty-state">Data belum cukup untuk analisis transisi</p>';
+    handleSaveScheme() {
+        const name = document.getElementById('schemeName').value.trim();
+        const threshold = parseInt(document.getElementById('schemeThreshold').value);
+
+        if (!name) {
+            alert(this.t('scheme.nameRequired'));
+            return;
+        }
+        if (name === 'Standar') {
+            alert(this.t('scheme.defaultReadOnly'));
+            return;
+        }
+        if (!Number.isInteger(threshold) || threshold < 6 || threshold > 53) {
+            alert(this.t('scheme.thresholdRange'));
             return;
         }
 
-        const states = ['LOW', 'MID', 'HIGH', 'EXTREME'];
-        let html = '';
+        let bands;
+        try {
+            bands = this.parseBands(document.getElementById('schemeBands').value);
+        } catch (err) {
+            alert(this.t('scheme.invalidBands', { message: err.message }));
+            return;
+        }
 
-        // Header row
-        html += '<div class="matrix-row">';
-        html += '<div class="matrix-cell matrix-header">State</div>';
-        states.forEach(state => {
-            html += `<div class="matrix-cell matrix-header">${state}</div>`;
-        });
-        html += '</div>';
+        const scheme = { name, bands, threshold };
+        const existing = this.binningSchemes.findIndex(s => s.name === name);
+        if (existing >= 0) this.binningSchemes[existing] = scheme;
+        else this.binningSchemes.push(scheme);
 
-        // Data rows
-        states.forEach(fromState => {
-            html += '<div class="matrix-row">';
-            html += `<div class="matrix-cell matrix-header">${fromState}</div>`;
-
-            const probability = this.getStateTransitionProbability(fromState);
-            if (probability) {
-                states.forEach(toState => {
-                    const percent = probability[toState];
-                    const intensity = percent / 100;
-                    const bgColor = `rgba(102, 126, 234, ${intensity * 0.6})`;
-                    html += `<div class="matrix-cell matrix-data" style="background-color: ${bgColor};">${percent}%</div>`;
-                });
-            } else {
-                states.forEach(() => {
-                    html += '<div class="matrix-cell matrix-data">-</div>';
-                });
-            }
+        this.setActiveScheme(name);
+    }
 
-            html += '</div>';
-        });
+    handleDeleteScheme() {
+        const name = this.activeSchemeName;
+        if (name === 'Standar') {
+            alert(this.t('scheme.defaultUndeletable'));
+            return;
+        }
+        if (!confirm(this.t('scheme.confirmDelete', { name }))) return;
 
-        container.innerHTML = html;
+        this.binningSchemes = this.binningSchemes.filter(s => s.name !== name);
+        this.setActiveScheme('Standar');
     }
 
-    renderPrediction() {
-        const prediction = this.predictNextOutcome();
-        const container = document.getElementById('predictionOutput');
-        const basisContainer = document.getElementById('analysisBasis');
+    // ============ SCORING PROFILES ============
+    loadScoringProfiles() {
+        const profiles = this.readStoredJSON('diceScoringProfiles', []);
+        // Profil Default selalu ada dan tidak bisa ditimpa
+        this.scoringProfiles = [this.getDefaultProfile(), ...profiles.filter(p => p.name !== 'Default')];
 
-        if (!prediction.canPredict) {
-            container.innerHTML = `<p class="empty-state">${prediction.reason}</p>`;
-            basisContainer.innerHTML = '<p class="empty-state">Dasar analisis akan ditampilkan setelah prediksi</p>';
+        const active = localStorage.getItem('diceActiveProfile');
+        this.activeProfileName = this.scoringProfiles.some(p => p.name === active) ? active : 'Default';
+    }
+
+    saveScoringProfiles() {
+        const customProfiles = this.scoringProfiles.filter(p => p.name !== 'Default');
+        localStorage.setItem('diceScoringProfiles', JSON.stringify(customProfiles));
+        localStorage.setItem('diceActiveProfile', this.activeProfileName);
+    }
+
+    setActiveProfile(name) {
+        this.activeProfileName = name;
+        this.saveScoringProfiles();
+        this.render();
+    }
+
+    readProfileForm() {
+        const value = (id) => parseFloat(document.getElementById(id).value);
+        return {
+            name: document.getElementById('profileName').value.trim(),
+            trendWeight: value('trendWeight') / 100,
+            stateWeight: value('stateWeight') / 100,
+            transitionWeight: value('transitionWeight') / 100,
+            centerWeight: value('centerWeight') / 100,
+            trendFactor: value('trendFactor'),
+            center: value('centerPoint'),
+            maxDistance: value('maxDistance')
+        };
+    }
+
+    handleSaveProfile() {
+        const profile = this.readProfileForm();
+        const error = this.validateProfile(profile);
+        if (error) {
+            alert(error);
             return;
         }
 
-        const { KECIL, BESAR, reasoning } = prediction;
-        const dominantClass = KECIL > BESAR ? 'prediction-kecil' : 'prediction-besar';
-        const dominantLabel = KECIL > BESAR ? 'KECIL' : 'BESAR';
+        const existing = this.scoringProfiles.findIndex(p => p.name === profile.name);
+        if (existing >= 0) this.scoringProfiles[existing] = profile;
+        else this.scoringProfiles.push(profile);
 
-        // Prediction output
-        container.innerHTML = `
-            <div class="prediction-item prediction-kecil">
-                <span class="prediction-label">KECIL</span>
-                <span class="prediction-percentage">${KECIL}%</span>
-                <span class="prediction-small">Kemungkinan</span>
-            </div>
-            <div class="prediction-item prediction-besar">
-                <span class="prediction-label">BESAR</span>
-                <span class="prediction-percentage">${BESAR}%</span>
-                <span class="prediction-small">Kemungkinan</span>
-            </div>
-        `;
+        this.setActiveProfile(profile.name);
+    }
 
-        // Analysis basis
-        const basisHTML = `
-            <div class="analysis-point">
-                <strong>🎯 Rekomendasi:</strong> ${dominantLabel} (${Math.max(KECIL, BESAR)}% confidence)
-            </div>
-            <div class="analysis-point">
-                <strong>📊 Komponen Analisis:</strong>
-                <ul>
-                    <li><strong>Tren Numerik:</strong> ${reasoning.trendDirection.upCount} Naik, ${reasoning.trendDirection.downCount} Turun, ${reasoning.trendDirection.stableCount} Stabil → ${reasoning.trendDirection.downCount > reasoning.trendDirection.upCount ? 'Cenderung menurun (KECIL)' : 'Cenderung meningkat (BESAR)'}</li>
-                    <li><strong>Dominasi State:</strong> LOW: ${reasoning.stateDominance.LOW}, MID: ${reasoning.stateDominance.MID}, HIGH: ${reasoning.stateDominance.HIGH}, EXTREME: ${reasoning.stateDominance.EXTREME}</li>
-                    <li><strong>State Terakhir:</strong> ${reasoning.lastState}</li>
-                    <li><strong>Rata-rata Roll 2:</strong> ${reasoning.avgRoll2} (Pusat K/B: 30) → ${reasoning.avgRoll2 < 30 ? 'Lebih dekat KECIL' : 'Lebih dekat BESAR'}</li>
-                    <li><strong>Transisi dari ${reasoning.lastState}:</strong>
-                        ${reasoning.stateTransitionProb ? `
-                            LOW: ${reasoning.stateTransitionProb.LOW || 0}%, 
-                            MID: ${reasoning.stateTransitionProb.MID || 0}%, 
-                            HIGH: ${reasoning.stateTransitionProb.HIGH || 0}%, 
-                            EXTREME: ${reasoning.stateTransitionProb.EXTREME || 0}%
-                        ` : 'Data belum cukup'}
-                    </li>
-                </ul>
-            </div>
-            <div class="analysis-point">
-                <strong>⚙️ Metodologi:</strong> Hybrid Scoring System (Numeric Trend 25% + State Dominance 30% + State Transition 25% + Distance from Center 20%)
+    handleDeleteProfile() {
+        const name = this.activeProfileName;
+        if (name === 'Default') {
+            alert(this.t('profile.defaultUndeletable'));
+            return;
+        }
+        if (!confirm(this.t('profile.confirmDelete', { name }))) return;
+
+        this.scoringProfiles = this.scoringProfiles.filter(p => p.name !== name);
+        this.setActiveProfile('Default');
+    }
+
+    // ============ MARKOV SETTINGS ============
+    loadMarkovSettings() {
+        this.markovSettings = { ...this.markovSettings, ...this.readStoredJSON('diceMarkovSettings', {}) };
+    }
+
+    saveMarkovSettings() {
+        localStorage.setItem('diceMarkovSettings', JSON.stringify(this.markovSettings));
+    }
+
+    updateMarkovSettings(changes) {
+        this.markovSettings = { ...this.markovSettings, ...changes };
+        this.saveMarkovSettings();
+        this.render();
+    }
+
+    // ============ ANALYSIS WINDOW ============
+    loadAnalysisWindows() {
+        // Sebelum ada jendela analisis, prediksi memakai 20 game terakhir. Pengguna lama diberi tahu sampai
+        // memilih sendiri; pengguna baru langsung memakai default tanpa pemberitahuan.
+        const hasStoredWindow = localStorage.getItem('diceAnalysisWindow') !== null;
+        this.showWindowMigration = !hasStoredWindow && this.games.length > 0;
+        this.analysisWindow = { ...this.analysisWindow, ...this.readStoredJSON('diceAnalysisWindow', {}) };
+        // Jendela B default: 50 game terakhir, dibandingkan dengan jendela analisis (default seluruh histori)
+        this.compareWindow = { ...this.getDefaultAnalysisWindow(), mode: 'last', ...this.readStoredJSON('diceCompareWindow', {}) };
+        if (this.validateAnalysisWindow(this.analysisWindow)) this.analysisWindow = this.getDefaultAnalysisWindow();
+        if (this.validateAnalysisWindow(this.compareWindow)) this.compareWindow = { ...this.getDefaultAnalysisWindow(), mode: 'last' };
+        if (!hasStoredWindow && !this.showWindowMigration) this.saveAnalysisWindows();
+    }
+
+    resolveWindowMigration(useLegacy) {
+        if (useLegacy) {
+            this.analysisWindow = { ...this.analysisWindow, mode: 'last', count: 20 };
+            this.chartRange = null;
+            this.chartHover = null;
+        }
+        this.showWindowMigration = false;
+        this.saveAnalysisWindows();
+        this.render();
+    }
+
+    saveAnalysisWindows() {
+        localStorage.setItem('diceAnalysisWindow', JSON.stringify(this.analysisWindow));
+        localStorage.setItem('diceCompareWindow', JSON.stringify(this.compareWindow));
+    }
+
+    readWindowControls(prefix) {
+        return {
+            mode: document.getElementById(`${prefix}Mode`).value,
+            count: Number(document.getElementById(`${prefix}Count`).value),
+            from: document.getElementById(`${prefix}From`).value,
+            to: document.getElementById(`${prefix}To`).value
+        };
+    }
+
+    handleWindowChange(prefix) {
+        const analysisWindow = this.readWindowControls(prefix);
+        const error = this.validateAnalysisWindow(analysisWindow);
+        if (error) {
+            alert(error);
+            this.renderWindowControls(prefix, prefix === 'window' ? this.analysisWindow : this.compareWindow);
+            return;
+        }
+
+        if (prefix === 'window') {
+            this.analysisWindow = analysisWindow;
+            // Zoom grafik mengacu ke indeks game di jendela lama
+            this.chartRange = null;
+            this.chartHover = null;
+        } else {
+            this.compareWindow = analysisWindow;
+        }
+        if (prefix === 'window') this.showWindowMigration = false;
+        this.saveAnalysisWindows();
+        this.render();
+    }
+
+    // ============ PREDICTION LOG ============
+    loadPredictionLog() {
+        this.predictionLog = this.readSharedList('dicePredictionLog');
+    }
+
+    savePredictionLog() {
+        this.predictionLog = this.writeSharedList('dicePredictionLog', this.predictionLog);
+    }
+
+    getForecastPosition() {
+        // Posisi prakiraan = sesi yang dianalisis + game terakhir di dalamnya, sama dengan data yang dipakai prediksi
+        const sessionIds = [...this.selectedSessionIds].sort((a, b) => a - b);
+        const games = this.getSessionGames();
+        return { sessionIds, afterGameId: games.length > 0 ? games[games.length - 1].id : null };
+    }
+
+    canLogForecast() {
+        // Game berikutnya harus masuk ke data yang dipakai prediksi: sesi aktif ikut dianalisis,
+        // tidak ada sesi simulasi, dan jendela analisis mencakup game yang baru masuk
+        if (!this.selectedSessionIds.includes(this.activeSessionId)) return false;
+        if (this.selectedSessionIds.some(id => this.getSession(id).simulated)) return false;
+        const { mode, to } = this.analysisWindow;
+        return mode !== 'range' || this.getWindowBound(to, true) >= Date.now();
+    }
+
+    logForecast() {
+        // Satu entri per posisi; entri yang sudah ada tidak pernah ditimpa
+        if (!this.canLogForecast()) return;
+        const { sessionIds, afterGameId } = this.getForecastPosition();
+        const key = sessionIds.join(',');
+        if (this.predictionLog.some(e => e.afterGameId === afterGameId && this.getEntrySessionIds(e).join(',') === key)) return;
+
+        const games = this.getAnalysisGames();
+        const predictions = this.predictors
+            .map(predictor => ({ predictor, result: predictor.predict(games) }))
+            .filter(({ result }) => result.canPredict)
+            .map(({ predictor, result }) => ({
+                predictorId: predictor.id,
+                KECIL: result.KECIL,
+                BESAR: result.BESAR
+            }));
+        if (predictions.length === 0) return;
+
+        this.predictionLog.push({
+            id: Date.now(),
+            createdAt: new Date(),
+            sessionIds,
+            afterGameId,
+            predictions,
+            settings: {
+                profile: this.getActiveProfile(),
+                scheme: this.getActiveScheme(),
+                markov: { ...this.markovSettings },
+                analysisSessions: [...this.selectedSessionIds],
+                window: { ...this.analysisWindow }
+            },
+            actual: null,
+            actualGameId: null,
+            voided: false,
+            scoredAt: null
+        });
+        this.savePredictionLog();
+    }
+
+    rescoreForecasts() {
+        if (this.scoreForecastLog(this.predictionLog, this.games)) this.savePredictionLog();
+    }
+
+    getPredictionLogStats(predictorId = this.logPredictorId) {
+        const scored = this.predictionLog
+            .filter(e => e.actual !== null)
+            .map(e => ({ entry: e, prediction: e.predictions.find(p => p.predictorId === predictorId) }))
+            .filter(({ prediction }) => prediction);
+        if (scored.length === 0) return null;
+
+        const outcomes = scored.map(({ entry, prediction }) => {
+            const predicted = prediction.KECIL > prediction.BESAR ? 'KECIL' : 'BESAR';
+            return {
+                entry,
+                probability: prediction.KECIL / 100,
+                actual: entry.actual,
+                hit: predicted === entry.actual
+            };
+        });
+
+        const hits = outcomes.filter(o => o.hit).length;
+        const brier = outcomes.reduce((sum, o) => sum + Math.pow(o.probability - (o.actual === 'KECIL' ? 1 : 0), 2), 0) / outcomes.length;
+
+        // Streak dihitung mundur dari entri terbaru
+        const last = outcomes[outcomes.length - 1];
+        let currentStreak = 0;
+        for (let i = outcomes.length - 1; i >= 0 && outcomes[i].hit === last.hit; i--) currentStreak++;
+
+        let longestHit = 0, longestMiss = 0, run = 0;
+        outcomes.forEach((o, i) => {
+            run = i > 0 && outcomes[i - 1].hit === o.hit ? run + 1 : 1;
+            if (o.hit) longestHit = Math.max(longestHit, run);
+            else longestMiss = Math.max(longestMiss, run);
+        });
+
+        // Reliability: 10 bucket probabilitas KECIL vs frekuensi KECIL teramati
+        const buckets = Array.from({ length: 10 }, (_, i) => ({
+            from: i / 10, to: (i + 1) / 10, count: 0, forecastSum: 0, kecilCount: 0
+        }));
+        outcomes.forEach(o => {
+            const bucket = buckets[Math.min(9, Math.floor(o.probability * 10))];
+            bucket.count++;
+            bucket.forecastSum += o.probability;
+            if (o.actual === 'KECIL') bucket.kecilCount++;
+        });
+
+        return {
+            count: outcomes.length,
+            accuracy: hits / outcomes.length,
+            brier,
+            currentStreak: { hit: last.hit, length: currentStreak },
+            longestHit,
+            longestMiss,
+            outcomes,
+            buckets: buckets.map(b => ({
+                ...b,
+                meanForecast: b.count > 0 ? b.forecastSum / b.count : null,
+                observed: b.count > 0 ? b.kecilCount / b.count : null
+            }))
+        };
+    }
+
+    // ============ SIMULATION ============
+    readSimulationForm() {
+        const mode = document.getElementById('simMode').value;
+        const count = parseInt(document.getElementById('simGames').value);
+        const seedInput = document.getElementById('simSeed').value.trim();
+        const seed = seedInput === '' ? Math.floor(Math.random() * 4294967296) : parseInt(seedInput);
+        const weights = document.getElementById('simWeights').value.split(',').map(v => parseFloat(v.trim()));
+        const biasedDice = parseInt(document.getElementById('simBiasedDice').value);
+        const stickiness = parseFloat(document.getElementById('simStickiness').value);
+
+        const errors = [];
+        if (!Number.isInteger(count) || count < 10 || count > 2000) errors.push(this.t('sim.error.count'));
+        if (!Number.isInteger(seed) || seed < 0) errors.push(this.t('sim.error.seed'));
+        if (mode === 'biased') {
+            if (weights.length !== 6 || !weights.every(w => Number.isFinite(w) && w >= 0) || weights.every(w => w === 0)) {
+                errors.push(this.t('sim.error.weights'));
+            }
+            if (!Number.isInteger(biasedDice) || biasedDice < 1 || biasedDice > this.diceCount) {
+                errors.push(this.t('sim.error.biasedDice', { max: this.diceCount }));
+            }
+        }
+        if (mode === 'sticky' && !(Number.isFinite(stickiness) && stickiness >= 0 && stickiness < 1)) {
+            errors.push(this.t('sim.error.stickiness'));
+        }
+
+        return { errors, options: { mode, count, seed, weights, biasedDice, stickiness } };
+    }
+
+    async handleSimulate() {
+        const { errors, options } = this.readSimulationForm();
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+
+        const session = {
+            ...this.createSession(this.t('sim.sessionName', { number: this.sessions.filter(s => s.simulated).length + 1 })),
+            simulated: true,
+            simulation: options
+        };
+        this.sessions.push(session);
+
+        const simulated = this.simulateGames({ ...options, sessionId: session.id });
+        // Analisis langsung diarahkan ke sesi simulasi; sesi aktif untuk input tetap sesi nyata
+        this.selectedSessionIds = [session.id];
+        this.saveSessions();
+        const pending = { sessionId: session.id, pending: true };
+        this.simulationReport = pending;
+        this.commitChange({ type: 'addBatch', games: simulated });
+
+        // Backtest walk-forward berat untuk ribuan game: dihitung per potongan di belakang layar
+        const report = await this.runInChunks(this.simulationReportSteps(session, simulated), () => this.simulationReport !== pending);
+        if (this.simulationReport !== pending) return;
+        this.simulationReport = report;
+        this.renderSimulation();
+    }
+
+    async startBacktest(key, games) {
+        const pending = { key };
+        this.backtestPending = pending;
+        const result = await this.runInChunks(this.backtestSteps(games, this.backtestPredictorId), () => this.backtestPending !== pending);
+        if (this.backtestPending !== pending) return;
+        this.backtestPending = null;
+        this.backtestResult = { key, result };
+        this.renderBacktest();
+    }
+
+    runInChunks(steps, isCancelled = () => false) {
+        // Tiap potongan paling lama ~16 ms lalu memberi giliran ke UI; hitungan yang sudah usang dihentikan
+        return new Promise(resolve => {
+            const work = () => {
+                if (isCancelled()) {
+                    resolve(null);
+                    return;
+                }
+                const deadline = Date.now() + 16;
+                let next = steps.next();
+                while (!next.done && Date.now() < deadline) next = steps.next();
+                if (next.done) resolve(next.value);
+                else setTimeout(work);
+            };
+            work();
+        });
+    }
+
+    clearSimulations() {
+        const remaining = this.games.filter(g => !this.isSimulatedGame(g));
+        if (remaining.length === this.games.length) {
+            alert(this.t('sim.nothingToClear'));
+            return;
+        }
+        if (!confirm(this.t('sim.confirmClear', { count: this.games.length - remaining.length }))) return;
+
+        const simulatedIds = new Set(this.sessions.filter(s => s.simulated).map(s => s.id));
+        this.selectedSessionIds = this.selectedSessionIds.filter(id => !simulatedIds.has(id));
+        if (this.selectedSessionIds.length === 0) this.selectedSessionIds = [this.activeSessionId];
+        this.saveSessions();
+        this.simulationReport = null;
+        this.commitChange({ type: 'replace', before: [...this.games], after: remaining });
+    }
+
+    // ============ LOCALIZATION ============
+    setLocale(locale) {
+        // Hanya tampilan yang berubah; data tersimpan memakai kode netral
+        this.i18n.setLocale(locale);
+        localStorage.setItem('diceLocale', this.i18n.locale);
+        this.renderLocaleSelect();
+        this.applyStaticText();
+        this.renderFaceInputs();
+        this.renderBulkPreview();
+        this.render();
+    }
+
+    renderLocaleSelect() {
+        document.getElementById('localeSelect').innerHTML = this.i18n.getLocales()
+            .map(locale => `<option value="${locale}"${locale === this.i18n.locale ? ' selected' : ''}>${this.i18n.getLocaleName(locale)}</option>`)
+            .join('');
+    }
+
+    applyStaticText() {
+        // Teks statis di index.html ditandai data-i18n (textContent), data-i18n-html, atau data-i18n-<atribut>
+        document.documentElement.lang = this.i18n.locale;
+        document.title = this.t('app.title');
+        document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = this.t(el.dataset.i18n); });
+        document.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = this.t(el.dataset.i18nHtml); });
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    // ============ RENDER ============
+    render() {
+        this.renderSessions();
+        this.renderAnalysisWindow();
+        this.renderStorageStatus();
+        this.renderSchemeSettings();
+        this.renderProfileSettings();
+        this.renderStats();
+        this.renderTable();
+        this.renderTrendChart();
+        this.renderTransitionMatrix();
+        this.renderPrediction();
+        this.renderGoodnessOfFit();
+        this.renderDieFairness();
+        this.renderRandomnessTests();
+        this.renderStreaks();
+        this.renderPredictionLog();
+        this.renderCompare();
+        this.renderBacktest();
+        this.renderSimulation();
+    }
+
+    renderStorageStatus() {
+        let backend = 'IndexedDB';
+        if (this.storage.backend !== 'indexeddb') {
+            backend = this.storage.openError
+                ? this.t('storage.localFallbackReason', { message: this.escapeHTML(this.storage.openError) })
+                : this.t('storage.localFallback');
+        }
+        document.getElementById('storageStatus').innerHTML = `
+            💾 ${this.t('storage.backend', { backend })}
+            ${this.corruptKeys.length > 0 ? `
+                · <span class="verdict-flag">⚠️ ${this.t('storage.corruptSettings', { keys: this.corruptKeys.join(', ') })}</span>
+            ` : ''}
+            ${this.offlineError ? `
+                · <span class="verdict-na">${this.t('storage.offlineUnavailable', { message: this.escapeHTML(this.offlineError) })}</span>
+            ` : ''}
+            ${this.remoteSync ? `
+                · <span class="sync-indicator">🔄 ${this.t('storage.remoteChanges', {
+                    count: this.remoteSync.count,
+                    time: this.i18n.formatTime(this.remoteSync.at)
+                })}</span>
+            ` : ''}
+            ${this.quarantineCount > 0 ? `
+                · <span class="verdict-flag">⚠️ ${this.t('storage.quarantined', { count: this.quarantineCount })}</span>
+                <button type="button" class="btn-link" data-action="download-quarantine">${this.t('storage.download')}</button>
+                <button type="button" class="btn-link" data-action="clear-quarantine">${this.t('storage.clear')}</button>
+            ` : ''}
+        `;
+    }
+
+    renderSessions() {
+        const select = document.getElementById('sessionSelect');
+        select.innerHTML = this.getOpenSessions()
+            .map(session => `<option value="${session.id}"${session.id === this.activeSessionId ? ' selected' : ''}>${this.escapeHTML(session.name)}</option>`)
+            .join('');
+
+        const selected = new Set(this.selectedSessionIds);
+        document.getElementById('sessionFilter').innerHTML = this.sessions.map(session => {
+            const count = this.games.filter(g => g.sessionId === session.id).length;
+            // Sesi simulasi yang datanya sudah dihapus tidak perlu ditampilkan
+            if (session.simulated && count === 0) return '';
+            return `
+                <label class="session-option${session.archived ? ' session-archived' : ''}${session.simulated ? ' session-simulated' : ''}">
+                    <input type="checkbox" data-session-id="${session.id}"${selected.has(session.id) ? ' checked' : ''}>
+                    ${session.simulated ? '🧪 ' : ''}${this.escapeHTML(session.name)} (${this.t('common.games', { count })})${session.archived ? ` · ${this.t('session.archived')}` : ''}
+                    ${session.archived ? `<button type="button" class="btn-link" data-unarchive-id="${session.id}">${this.t('session.unarchive')}</button>` : ''}
+                </label>
+            `;
+        }).join('');
+    }
+
+    renderWindowControls(prefix, { mode, count, from, to }) {
+        document.getElementById(`${prefix}Mode`).value = mode;
+        document.getElementById(`${prefix}Count`).value = count;
+        document.getElementById(`${prefix}From`).value = from;
+        document.getElementById(`${prefix}To`).value = to;
+        document.getElementById(`${prefix}CountGroup`).hidden = mode !== 'last';
+        document.getElementById(`${prefix}FromGroup`).hidden = mode !== 'range';
+        document.getElementById(`${prefix}ToGroup`).hidden = mode !== 'range';
+    }
+
+    renderAnalysisWindow() {
+        this.renderWindowControls('window', this.analysisWindow);
+        document.getElementById('windowInfo').textContent = this.t('window.info', {
+            count: this.getAnalysisGames().length,
+            total: this.getSessionGames().length,
+            window: this.describeAnalysisWindow()
+        });
+
+        const migration = document.getElementById('windowMigration');
+        migration.hidden = !this.showWindowMigration;
+        migration.innerHTML = this.showWindowMigration ? `
+            ${this.t('window.migrationNotice')}
+            <button type="button" class="btn-link" data-action="window-legacy">${this.t('window.migrationUseLast20')}</button>
+            <button type="button" class="btn-link" data-action="window-keep">${this.t('window.migrationKeepAll')}</button>
+        ` : '';
+    }
+
+    renderSchemeSettings() {
+        const scheme = this.getActiveScheme();
+        document.getElementById('schemeSelect').innerHTML = this.binningSchemes
+            .map(s => `<option value="${this.escapeHTML(s.name)}"${s.name === scheme.name ? ' selected' : ''}>${this.escapeHTML(s.name)}</option>`)
+            .join('');
+
+        document.getElementById('schemeName').value = scheme.name === 'Standar' ? '' : scheme.name;
+        document.getElementById('schemeBands').value = this.formatBands(scheme.bands);
+        document.getElementById('schemeThreshold').value = scheme.threshold;
+        document.getElementById('schemePreview').innerHTML = scheme.bands.map(band => `
+            <span class="state-badge ${this.getStateClass(band.name)}">${this.escapeHTML(band.name)} ${band.min}-${band.max}</span>
+        `).join('') + `<span class="scheme-threshold">${this.formatClassification('KECIL')} ≤ ${scheme.threshold} &lt; ${this.formatClassification('BESAR')}</span>`;
+    }
+
+    renderProfileSettings() {
+        const profile = this.getActiveProfile();
+        const select = document.getElementById('profileSelect');
+
+        select.innerHTML = this.scoringProfiles
+            .map(p => `<option value="${this.escapeHTML(p.name)}"${p.name === profile.name ? ' selected' : ''}>${this.escapeHTML(p.name)}</option>`)
+            .join('');
+
+        const toPercent = (weight) => Math.round(weight * 1000) / 10;
+        document.getElementById('profileName').value = profile.name === 'Default' ? '' : profile.name;
+        document.getElementById('trendWeight').value = toPercent(profile.trendWeight);
+        document.getElementById('stateWeight').value = toPercent(profile.stateWeight);
+        document.getElementById('transitionWeight').value = toPercent(profile.transitionWeight);
+        document.getElementById('centerWeight').value = toPercent(profile.centerWeight);
+        document.getElementById('trendFactor').value = profile.trendFactor;
+        document.getElementById('centerPoint').value = profile.center;
+        document.getElementById('maxDistance').value = profile.maxDistance;
+    }
+
+    renderStats() {
+        const stats = this.getSummaryStats();
+        document.getElementById('totalGames').textContent = stats.totalGames;
+
+        if (stats.totalGames === 0) {
+            document.getElementById('avgRoll1').textContent = '0';
+            document.getElementById('avgRoll2').textContent = '0';
+            document.getElementById('trendDominant').textContent = '-';
+            return;
+        }
+
+        document.getElementById('avgRoll1').textContent = stats.avgRoll1.toFixed(1);
+        document.getElementById('avgRoll2').textContent = stats.avgRoll2.toFixed(1);
+        document.getElementById('trendDominant').textContent = this.formatTrendDominant(stats.trendDominant);
+    }
+
+    renderTable() {
+        const tbody = document.getElementById('tableBody');
+        const games = this.getAnalysisGames();
+
+        document.getElementById('undoBtn').disabled = this.undoStack.length === 0;
+        document.getElementById('redoBtn').disabled = this.redoStack.length === 0;
+
+        if (games.length === 0) {
+            tbody.innerHTML = `<tr class="empty-state"><td colspan="10">${this.t('history.empty')}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = games.map((game, idx) => game.id === this.editingGameId ? `
+            <tr class="editing-row">
+                <td><strong>#${idx + 1}</strong></td>
+                <td>${this.escapeHTML(this.getSession(game.sessionId).name)}</td>
+                <td><input type="number" id="editRoll1" class="inline-input" min="6" max="54" value="${game.roll1}"></td>
+                <td>-</td>
+                <td><input type="number" id="editRoll2" class="inline-input" min="6" max="54" value="${game.roll2}"></td>
+                <td colspan="4">-</td>
+                <td class="row-actions">
+                    <button type="button" class="btn-link" data-action="save" data-id="${game.id}">${this.t('common.save')}</button>
+                    <button type="button" class="btn-link" data-action="cancel" data-id="${game.id}">${this.t('common.cancel')}</button>
+                </td>
+            </tr>
+        ` : `
+            <tr>
+                <td><strong>#${idx + 1}</strong></td>
+                <td>${this.escapeHTML(this.getSession(game.sessionId).name)}</td>
+                <td>${game.roll1}</td>
+                <td><span class="state-badge ${this.getStateClass(game.state1)}">${game.state1}</span></td>
+                <td>${game.roll2}</td>
+                <td><span class="state-badge ${this.getStateClass(game.state2)}">${game.state2}</span></td>
+                <td>${game.trend.diff > 0 ? '+' : ''}${game.trend.diff}</td>
+                <td><span class="${this.getTrendClass(game.trend.direction)}">${this.formatDirection(game.trend.direction).toUpperCase()}</span></td>
+                <td><strong>${this.formatClassification(game.classification)}</strong></td>
+                <td class="row-actions">
+                    <button type="button" class="btn-link" data-action="edit" data-id="${game.id}" title="${this.t('common.edit')}">✏️</button>
+                    <button type="button" class="btn-link" data-action="delete" data-id="${game.id}" title="${this.t('common.delete')}">🗑️</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderImportResult(result) {
+        const container = document.getElementById('importResult');
+        // Pesan kesalahan memuat nilai mentah dari file, jadi selalu di-escape
+        const errors = result.errors || [];
+        const errorList = errors.length > 0
+            ? `<ul>${errors.map(err => `<li>${this.escapeHTML(err)}</li>`).join('')}</ul>`
+            : '';
+
+        if (!result.ok) {
+            container.innerHTML = `<p class="verdict-flag">${this.escapeHTML(result.message)}</p>${errorList}`;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="analysis-point">
+                <strong>${this.t('io.result')}</strong> ${this.t('io.resultSummary', {
+                    imported: result.imported,
+                    duplicates: result.duplicates.length,
+                    errors: errors.length
+                })}
+            </div>
+            ${result.duplicates.length > 0 ? `<div class="analysis-point"><strong>${this.t('io.duplicateIds')}</strong> ${this.escapeHTML(result.duplicates.join(', '))}</div>` : ''}
+            ${errorList}
+        `;
+    }
+
+    renderTrendChart() {
+        const games = this.getAnalysisGames();
+        const canvas = document.getElementById('trendChart');
+        const { ctx, width, height } = this.setupHiDPICanvas(canvas);
+        ctx.clearRect(0, 0, width, height);
+        this.renderChartControls(games);
+
+        if (games.length === 0) {
+            this.chartLayout = null;
+            document.getElementById('trendSummary').innerHTML = `<p class="empty-state">${this.t('trend.notEnoughData')}</p>`;
+            return;
+        }
+
+        if (this.chartSettings.view === 'histogram') this.drawRoll2Histogram(ctx, width, height, games);
+        else this.drawTimeline(ctx, width, height, games);
+
+        // Render summary
+        const trendAnalysis = this.analyzeTrendDirection(games);
+        const dominant = this.getTrendDominant(games);
+        const summary = `
+            <div class="analysis-point">
+                <strong>${this.t('trend.summaryTitle', { window: this.describeAnalysisWindow() })}</strong><br>
+                ${this.formatDirection('naik')}: ${trendAnalysis.upCount} | ${this.formatDirection('turun')}: ${trendAnalysis.downCount} | ${this.formatDirection('stabil')}: ${trendAnalysis.stableCount}
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('trend.dominance')}</strong> <span class="${this.getTrendClass(dominant)}">${this.formatTrendDominant(dominant)}</span>
+            </div>
+        `;
+        document.getElementById('trendSummary').innerHTML = summary;
+    }
+
+    // ============ CHART ============
+    loadChartSettings() {
+        this.chartSettings = {
+            view: 'timeline',
+            mean: true,
+            threshold: true,
+            bands: false,
+            meanWindow: 10,
+            ...this.readStoredJSON('diceChartSettings', {})
+        };
+        // Zoom tidak disimpan: null = seluruh histori
+        this.chartRange = null;
+        this.chartHover = null;
+        this.chartDrag = null;
+        this.chartLayout = null;
+        this.minChartSpan = 9;
+        this.stateColors = ['#3498db', '#f39c12', '#e74c3c', '#9b59b6', '#1abc9c', '#34495e', '#e67e22', '#7f8c8d'];
+    }
+
+    saveChartSettings() {
+        localStorage.setItem('diceChartSettings', JSON.stringify(this.chartSettings));
+    }
+
+    updateChartSettings(changes) {
+        this.chartSettings = { ...this.chartSettings, ...changes };
+        this.chartHover = null;
+        this.saveChartSettings();
+        this.renderTrendChart();
+    }
+
+    renderChartControls(games) {
+        const { view, mean, threshold, bands, meanWindow } = this.chartSettings;
+        const timeline = view === 'timeline';
+        document.querySelectorAll('input[name="chartView"]').forEach(radio => {
+            radio.checked = radio.value === view;
+        });
+        document.getElementById('chartMean').checked = mean;
+        document.getElementById('chartMean').disabled = !timeline;
+        document.getElementById('chartMeanWindow').value = meanWindow;
+        document.getElementById('chartMeanWindow').disabled = !timeline;
+        document.getElementById('chartThreshold').checked = threshold;
+        document.getElementById('chartBands').checked = bands;
+        ['chartZoomIn', 'chartZoomOut', 'chartReset'].forEach(id => {
+            document.getElementById(id).disabled = !timeline || games.length < 2;
+        });
+
+        const { start, end } = this.getChartRange(games.length);
+        document.getElementById('chartRangeInfo').textContent = games.length === 0
+            ? ''
+            : timeline
+                ? this.t('chart.range', { start: start + 1, end: end + 1, total: games.length })
+                : this.t('common.games', { count: games.length });
+    }
+
+    setupHiDPICanvas(canvas) {
+        // Buffer canvas = ukuran tampil × devicePixelRatio agar garis tetap tajam di layar HiDPI
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { ctx, width, height };
+    }
+
+    getChartRange(total) {
+        if (!this.chartRange || total < 2) return { start: 0, end: Math.max(total - 1, 0) };
+        const span = Math.min(this.chartRange.end - this.chartRange.start, total - 1);
+        const end = Math.min(this.chartRange.end, total - 1);
+        return { start: end - span, end };
+    }
+
+    setChartRange(start, span, total) {
+        if (span >= total - 1) {
+            this.chartRange = null;
+        } else {
+            const clamped = Math.min(Math.max(Math.round(start), 0), total - 1 - span);
+            this.chartRange = { start: clamped, end: clamped + span };
+        }
+        this.renderTrendChart();
+    }
+
+    zoomChart(factor, anchor = null) {
+        const total = this.getAnalysisGames().length;
+        if (total < 2 || this.chartSettings.view !== 'timeline') return;
+
+        const { start, end } = this.getChartRange(total);
+        const center = anchor === null ? (start + end) / 2 : anchor;
+        const span = Math.min(total - 1, Math.max(this.minChartSpan, Math.round((end - start) * factor)));
+        // Titik di bawah kursor tetap di posisi yang sama setelah zoom
+        const position = end > start ? (center - start) / (end - start) : 0.5;
+        this.setChartRange(center - span * position, span, total);
+    }
+
+    getChartIndexAt(x) {
+        const layout = this.chartLayout;
+        if (!layout || x < layout.left - 10 || x > layout.right + 10) return null;
+        const index = Math.round(layout.fromX(x));
+        return Math.min(Math.max(index, layout.start), layout.end);
+    }
+
+    handleChartWheel(e) {
+        if (!this.chartLayout || this.chartLayout.view !== 'timeline') return;
+        e.preventDefault();
+        this.zoomChart(e.deltaY < 0 ? 0.8 : 1.25, this.chartLayout.fromX(e.offsetX));
+    }
+
+    handleChartPointerDown(e) {
+        if (!this.chartLayout || this.chartLayout.view !== 'timeline' || !this.chartRange) return;
+        this.chartDrag = { x: e.offsetX, range: { ...this.chartRange } };
+        e.target.setPointerCapture(e.pointerId);
+    }
+
+    handleChartPointerMove(e) {
+        if (!this.chartLayout) return;
+
+        if (this.chartDrag) {
+            // Geser: selisih piksel dikonversi ke jumlah game
+            const { x, range } = this.chartDrag;
+            const shift = (x - e.offsetX) / this.chartLayout.xStep;
+            this.setChartRange(range.start + shift, range.end - range.start, this.getAnalysisGames().length);
+            return;
+        }
+
+        const hover = this.getChartIndexAt(e.offsetX);
+        if (hover !== this.chartHover) {
+            this.chartHover = hover;
+            this.renderTrendChart();
+        }
+        this.renderChartTooltip(e.offsetX, e.offsetY);
+    }
+
+    handleChartPointerLeave() {
+        this.chartDrag = null;
+        if (this.chartHover === null) return;
+        this.chartHover = null;
+        this.renderTrendChart();
+        document.getElementById('chartTooltip').hidden = true;
+    }
+
+    renderChartTooltip(x, y) {
+        const tooltip = document.getElementById('chartTooltip');
+        const games = this.getAnalysisGames();
+        if (this.chartHover === null) {
+            tooltip.hidden = true;
+            return;
+        }
+
+        if (this.chartLayout.view === 'histogram') {
+            const bin = this.getRoll2Histogram(games).find(b => b.total === this.chartHover);
+            tooltip.innerHTML = `
+                <strong>Total ${bin.total}</strong> (${this.getState(bin.total)}, ${this.formatClassification(this.getClassification(bin.total))})<br>
+                ${this.t('chart.observed')}: ${bin.observed}<br>
+                ${this.t('chart.theoretical')}: ${bin.expected.toFixed(1)}
+            `;
+        } else {
+            const game = games[this.chartHover];
+            tooltip.innerHTML = `
+                <strong>Game #${this.chartHover + 1}</strong> · ${this.i18n.formatDateTime(game.timestamp)}<br>
+                Roll 1: ${game.roll1} <span class="state-badge ${this.getStateClass(game.state1)}">${game.state1}</span><br>
+                Roll 2: ${game.roll2} <span class="state-badge ${this.getStateClass(game.state2)}">${game.state2}</span><br>
+                <strong>${this.formatClassification(game.classification)}</strong>
+            `;
+        }
+
+        tooltip.hidden = false;
+        // Tooltip dibalik ke kiri kalau mendekati tepi kanan
+        const flip = x > this.chartLayout.right - 180;
+        tooltip.style.left = `${flip ? x - tooltip.offsetWidth - 12 : x + 12}px`;
+        tooltip.style.top = `${y + 12}px`;
+    }
+
+    drawChartBands(ctx, layout, orientation) {
+        const { bands } = this.getActiveScheme();
+        ctx.globalAlpha = 0.12;
+        bands.forEach((band, i) => {
+            ctx.fillStyle = this.stateColors[i % this.stateColors.length];
+            if (orientation === 'horizontal') {
+                const top = layout.toY(Math.min(band.max + 0.5, 54));
+                const bottom = layout.toY(Math.max(band.min - 0.5, 6));
+                ctx.fillRect(layout.left, top, layout.right - layout.left, bottom - top);
+            } else {
+                const left = layout.toX(band.min - 0.5);
+                const right = layout.toX(band.max + 0.5);
+                ctx.fillRect(left, layout.top, right - left, layout.bottom - layout.top);
+            }
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    drawChartAxes(ctx, layout) {
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(layout.left, layout.top);
+        ctx.lineTo(layout.left, layout.bottom);
+        ctx.lineTo(layout.right, layout.bottom);
+        ctx.stroke();
+    }
+
+    drawChartLegend(ctx, width, items) {
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        let x = width - 15;
+        [...items].reverse().forEach(({ label, color }) => {
+            x -= ctx.measureText(label).width + 25;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, 6, 12, 12);
+            ctx.fillStyle = '#333';
+            ctx.fillText(label, x + 17, 16);
+        });
+    }
+
+    getNiceStep(span, targetTicks) {
+        const raw = span / targetTicks;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(Math.max(raw, 1))));
+        const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+        return Math.max(1, step || 10 * magnitude);
+    }
+
+    drawTimeline(ctx, width, height, games) {
+        const { start, end } = this.getChartRange(games.length);
+        const span = Math.max(end - start, 1);
+        const left = 45, right = width - 15, top = 28, bottom = height - 35;
+        const xStep = (right - left) / span;
+        const layout = {
+            view: 'timeline', left, right, top, bottom, start, end, xStep,
+            // Satu game saja digambar di tengah
+            toX: (i) => end === start ? (left + right) / 2 : left + (i - start) * xStep,
+            fromX: (x) => start + (x - left) / xStep,
+            toY: (v) => bottom - ((v - 6) / 48) * (bottom - top)
+        };
+        this.chartLayout = layout;
+        const { threshold } = this.getActiveScheme();
+
+        if (this.chartSettings.bands) this.drawChartBands(ctx, layout, 'horizontal');
+
+        // Grid & label sumbu Y
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'right';
+        for (let v = 6; v <= 54; v += 12) {
+            ctx.strokeStyle = '#ddd';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(left, layout.toY(v));
+            ctx.lineTo(right, layout.toY(v));
+            ctx.stroke();
+            ctx.fillStyle = '#333';
+            ctx.fillText(v, left - 8, layout.toY(v) + 4);
+        }
+
+        // Label sumbu X: nomor game
+        ctx.textAlign = 'center';
+        const tickStep = this.getNiceStep(span, Math.max(2, Math.floor((right - left) / 70)));
+        for (let i = Math.ceil((start + 1) / tickStep) * tickStep - 1; i <= end; i += tickStep) {
+            if (i < start) continue;
+            ctx.fillText(`#${i + 1}`, layout.toX(i), bottom + 18);
+        }
+
+        if (this.chartSettings.threshold) {
+            // Garis ambang di antara threshold dan threshold + 1
+            const y = layout.toY(threshold + 0.5);
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#555';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${this.formatClassification('KECIL')} ≤ ${threshold}`, left + 6, y + 14);
+            ctx.fillText(this.formatClassification('BESAR'), left + 6, y - 6);
+        }
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, right - left, bottom - top);
+        ctx.clip();
+
+        // Satu titik di luar jendela ikut digambar agar garis menyambung ke tepi
+        const from = Math.max(0, start - 1);
+        const to = Math.min(games.length - 1, end + 1);
+        const drawSeries = (values, color, lineWidth) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            for (let i = from; i <= to; i++) {
+                if (i === from) ctx.moveTo(layout.toX(i), layout.toY(values[i]));
+                else ctx.lineTo(layout.toX(i), layout.toY(values[i]));
+            }
+            ctx.stroke();
+
+            if (span <= 60) {
+                ctx.fillStyle = color;
+                for (let i = start; i <= end; i++) {
+                    ctx.beginPath();
+                    ctx.arc(layout.toX(i), layout.toY(values[i]), 2.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+        };
+
+        drawSeries(games.map(g => g.roll1), '#3498db', 2);
+        drawSeries(games.map(g => g.roll2), '#e74c3c', 2);
+        if (this.chartSettings.mean) {
+            drawSeries(this.getRollingMean(games.map(g => g.roll2), this.chartSettings.meanWindow), '#764ba2', 3);
+        }
+
+        if (this.chartHover !== null && this.chartHover >= start && this.chartHover <= end) {
+            const x = layout.toX(this.chartHover);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        this.drawChartAxes(ctx, layout);
+        this.drawChartLegend(ctx, width, [
+            { label: 'Roll 1', color: '#3498db' },
+            { label: 'Roll 2', color: '#e74c3c' },
+            ...(this.chartSettings.mean ? [{ label: this.t('chart.legend.mean', { window: this.chartSettings.meanWindow }), color: '#764ba2' }] : [])
+        ]);
+    }
+
+    drawRoll2Histogram(ctx, width, height, games) {
+        const histogram = this.getRoll2Histogram(games);
+        const maxCount = Math.max(...histogram.map(b => Math.max(b.observed, b.expected)), 1);
+        const yStep = this.getNiceStep(maxCount, 5);
+        const yMax = Math.ceil(maxCount / yStep) * yStep;
+        const left = 45, right = width - 15, top = 28, bottom = height - 35;
+        const binWidth = (right - left) / histogram.length;
+        const layout = {
+            view: 'histogram', left, right, top, bottom,
+            start: 6, end: 54, xStep: binWidth,
+            toX: (total) => left + (total - 5.5) * binWidth,
+            fromX: (x) => 5.5 + (x - left) / binWidth,
+            toY: (count) => bottom - (count / yMax) * (bottom - top)
+        };
+        this.chartLayout = layout;
+        const { threshold } = this.getActiveScheme();
+
+        if (this.chartSettings.bands) this.drawChartBands(ctx, layout, 'vertical');
+
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'right';
+        for (let v = 0; v <= yMax; v += yStep) {
+            ctx.strokeStyle = '#ddd';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(left, layout.toY(v));
+            ctx.lineTo(right, layout.toY(v));
+            ctx.stroke();
+            ctx.fillStyle = '#333';
+            ctx.fillText(v, left - 8, layout.toY(v) + 4);
+        }
+        ctx.textAlign = 'center';
+        for (let total = 6; total <= 54; total += 6) {
+            ctx.fillText(total, layout.toX(total), bottom + 18);
+        }
+
+        // Batang observasi
+        histogram.forEach(bin => {
+            ctx.fillStyle = bin.total === this.chartHover ? '#c0392b' : 'rgba(231, 76, 60, 0.75)';
+            const y = layout.toY(bin.observed);
+            ctx.fillRect(layout.toX(bin.total) - binWidth * 0.4, y, binWidth * 0.8, bottom - y);
+        });
+
+        // Kurva teoretis n × P(total)
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        histogram.forEach((bin, i) => {
+            if (i === 0) ctx.moveTo(layout.toX(bin.total), layout.toY(bin.expected));
+            else ctx.lineTo(layout.toX(bin.total), layout.toY(bin.expected));
+        });
+        ctx.stroke();
+
+        if (this.chartSettings.threshold) {
+            const x = layout.toX(threshold + 0.5);
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        this.drawChartAxes(ctx, layout);
+        this.drawChartLegend(ctx, width, [
+            { label: this.t('chart.legend.roll2Observed'), color: 'rgba(231, 76, 60, 0.75)' },
+            { label: this.t('predictor.theoretical'), color: '#333' }
+        ]);
+    }
+
+    renderTransitionMatrix() {
+        const { order, alpha, minCount } = this.markovSettings;
+        const games = this.getAnalysisGames();
+        const container = document.getElementById('transitionMatrix');
+        const withinContainer = document.getElementById('withinGameMatrix');
+
+        document.getElementById('markovOrder').value = order;
+        document.getElementById('markovAlpha').value = alpha;
+        document.getElementById('markovMinCount').value = minCount;
+
+        const empty = `<p class="empty-state">${this.t('markov.notEnoughData')}</p>`;
+        if (games.length === 0) {
+            container.innerHTML = empty;
+            withinContainer.innerHTML = empty;
+            return;
+        }
+
+        // Hanya konteks yang pernah muncul, yang paling sering di atas
+        const betweenRows = [...this.buildMarkovCounts(games, order).entries()]
+            .sort((a, b) => b[1].total - a[1].total);
+        container.innerHTML = betweenRows.length > 0
+            ? this.renderMarkovMatrix(betweenRows, order === 1 ? 'State' : this.t('markov.context'))
+            : empty;
+
+        withinContainer.innerHTML = this.renderMarkovMatrix([...this.buildWithinGameCounts(games).entries()], 'Roll 1 / Roll 2');
+    }
+
+    renderMarkovMatrix(rows, cornerLabel) {
+        const states = this.getStates();
+        const rowStyle = `style="--band-count: ${states.length};"`;
+        const formatPercent = (p) => `${Math.round(p * 100)}%`;
+        let html = '';
+
+        // Header row
+        html += `<div class="matrix-row" ${rowStyle}>`;
+        html += `<div class="matrix-cell matrix-header">${cornerLabel}</div>`;
+        states.forEach(state => {
+            html += `<div class="matrix-cell matrix-header">${state}</div>`;
+        });
+        html += '</div>';
+
+        // Data rows
+        rows.forEach(([context, row]) => {
+            const smoothed = this.getSmoothedRow(row);
+            html += `<div class="matrix-row" ${rowStyle}>`;
+            html += `<div class="matrix-cell matrix-header${smoothed.sparse ? ' matrix-sparse' : ''}">${context}<span class="matrix-count">n = ${row.total}</span></div>`;
+
+            states.forEach(toState => {
+                const cell = smoothed.cells[toState];
+                if (cell.probability === null) {
+                    html += '<div class="matrix-cell matrix-data">-</div>';
+                    return;
+                }
+                const bgColor = `rgba(102, 126, 234, ${cell.probability * 0.6})`;
+                html += `
+                    <div class="matrix-cell matrix-data${cell.sparse ? ' matrix-sparse' : ''}"${cell.sparse ? '' : ` style="background-color: ${bgColor};"`}
+                         title="${this.t('markov.cellTitle', { count: cell.count, total: row.total })}">
+                        <span>${formatPercent(cell.probability)}</span>
+                        <span class="matrix-ci">${cell.count}/${row.total} · ${formatPercent(cell.lower)}-${formatPercent(cell.upper)}</span>
+                    </div>
+                `;
+            });
+
+            html += '</div>';
+        });
+
+        return html;
+    }
+
+    renderPrediction() {
+        const container = document.getElementById('predictionOutput');
+        const basisContainer = document.getElementById('analysisBasis');
+
+        // Semua model terdaftar, berdampingan; prakiraan yang tampil dicatat oleh logForecast saat game berikutnya diinput
+        const results = this.predictors.map(predictor => ({ predictor, result: predictor.predict(this.getAnalysisGames()) }));
+
+        container.innerHTML = results.map(({ predictor, result }) => {
+            if (!result.canPredict) {
+                return `
+                    <div class="prediction-item model-item">
+                        <span class="prediction-label">${predictor.name}</span>
+                        <p class="empty-state">${result.reason}</p>
+                    </div>
+                `;
+            }
+            return `
+                <div class="prediction-item model-item">
+                    <span class="prediction-label">${predictor.name}</span>
+                    <div class="model-split">
+                        <div class="prediction-kecil">
+                            <span class="prediction-small">${this.formatClassification('KECIL')}</span>
+                            <span class="prediction-percentage">${result.KECIL}%</span>
+                        </div>
+                        <div class="prediction-besar">
+                            <span class="prediction-small">${this.formatClassification('BESAR')}</span>
+                            <span class="prediction-percentage">${result.BESAR}%</span>
+                        </div>
+                    </div>
+                    <span class="model-description">${predictor.describe(result)}</span>
+                </div>
+            `;
+        }).join('');
+
+        const prediction = this.predictNextOutcome();
+        if (!prediction.canPredict) {
+            basisContainer.innerHTML = `<p class="empty-state">${this.t('basis.empty')}</p>`;
+            return;
+        }
+
+        const { KECIL, BESAR, reasoning } = prediction;
+        const { profile } = reasoning;
+        const states = this.getStates();
+        const formatWeight = (weight) => `${Math.round(weight * 1000) / 10}%`;
+        const dominantLabel = this.formatClassification(KECIL > BESAR ? 'KECIL' : 'BESAR');
+        const { upCount, downCount, stableCount } = reasoning.trendDirection;
+
+        // Analysis basis
+        const basisHTML = `
+            <div class="analysis-point">
+                <strong>🎯 ${this.t('basis.recommendation')}</strong> ${this.t('basis.confidence', { label: dominantLabel, percent: Math.max(KECIL, BESAR) })}
+            </div>
+            <div class="analysis-point">
+                <strong>📊 ${this.t('basis.components')}</strong>
+                <ul>
+                    <li><strong>${this.t('basis.numericTrend')}</strong> ${upCount} ${this.formatDirection('naik')}, ${downCount} ${this.formatDirection('turun')}, ${stableCount} ${this.formatDirection('stabil')} → ${this.t(downCount > upCount ? 'basis.trendDown' : 'basis.trendUp')}</li>
+                    <li><strong>${this.t('basis.stateDominance')}</strong> ${states.map(state => `${state}: ${reasoning.stateDominance[state]}`).join(', ')}</li>
+                    <li><strong>${this.t('basis.lastState')}</strong> ${reasoning.lastState}</li>
+                    <li><strong>${this.t('basis.avgRoll2')}</strong> ${this.t('basis.avgRoll2Value', { average: reasoning.avgRoll2, center: profile.center })} → ${this.t(reasoning.avgRoll2 < profile.center ? 'basis.closerKecil' : 'basis.closerBesar')}</li>
+                    <li><strong>${this.t('basis.transitionFrom', { state: reasoning.lastState })}</strong>
+                        ${reasoning.stateTransitionProb
+                            ? states.map(state => `${state}: ${reasoning.stateTransitionProb[state] || 0}%`).join(', ')
+                            : this.t('common.notEnoughData')}
+                    </li>
+                </ul>
+            </div>
+            <div class="analysis-point">
+                <strong>⚙️ ${this.t('basis.methodology')}</strong> ${this.t('basis.methodologyText', {
+                    profile: profile.name,
+                    trendWeight: formatWeight(profile.trendWeight),
+                    trendFactor: profile.trendFactor,
+                    stateWeight: formatWeight(profile.stateWeight),
+                    transitionWeight: formatWeight(profile.transitionWeight),
+                    centerWeight: formatWeight(profile.centerWeight),
+                    center: profile.center,
+                    maxDistance: profile.maxDistance,
+                    scheme: this.getActiveScheme().name,
+                    kecil: this.formatClassification('KECIL'),
+                    threshold: this.getActiveScheme().threshold
+                })}
             </div>
         `;
 
         basisContainer.innerHTML = basisHTML;
     }
+
+    renderGoodnessOfFit() {
+        const container = document.getElementById('goodnessOfFit');
+        const fit = this.getGoodnessOfFit();
+
+        if (!fit) {
+            container.innerHTML = `<p class="empty-state">${this.t('gof.notEnoughData')}</p>`;
+            return;
+        }
+
+        const formatPercent = (p) => `${(p * 100).toFixed(2)}%`;
+        const formatExpected = (p) => (p * fit.n).toFixed(1);
+
+        const stateRows = Object.entries(fit.stateProbabilities).map(([state, p]) => `
+            <tr>
+                <td><span class="state-badge ${this.getStateClass(state)}">${state}</span></td>
+                <td>${formatPercent(p)}</td>
+                <td>${formatExpected(p)}</td>
+                <td>${fit.state1Counts[state]}</td>
+                <td>${fit.state2Counts[state]}</td>
+            </tr>
+        `).join('');
+
+        const classificationRows = Object.entries(fit.classificationProbabilities).map(([label, p]) => `
+            <tr>
+                <td><strong>${this.formatClassification(label)}</strong></td>
+                <td>${formatPercent(p)}</td>
+                <td>${formatExpected(p)}</td>
+                <td>${fit.classificationCounts[label]}</td>
+            </tr>
+        `).join('');
+
+        const totalRows = Object.entries(fit.totalProbabilities).map(([total, p]) => `
+            <tr${p === 0 ? ' class="gof-impossible"' : ''}>
+                <td>${total}</td>
+                <td>${formatPercent(p)}</td>
+                <td>${formatExpected(p)}</td>
+                <td>${fit.roll1Totals[total]}</td>
+                <td>${fit.roll2Totals[total]}</td>
+            </tr>
+        `).join('');
+
+        const testRows = fit.tests.map(test => {
+            let verdict;
+            if (test.impossible > 0) {
+                verdict = `<span class="verdict-flag">⚠️ ${this.t('gof.impossible', { count: test.impossible })}</span>`;
+            } else if (!test.canTest) {
+                verdict = `<span class="verdict-na">${this.t('common.notEnoughData')}</span>`;
+            } else if (test.pValue < 0.05) {
+                verdict = `<span class="verdict-flag">⚠️ ${this.t('gof.deviates')}</span>`;
+            } else {
+                verdict = `<span class="verdict-pass">✅ ${this.t('gof.fits')}</span>`;
+            }
+            return `
+                <tr>
+                    <td><strong>${test.label}</strong></td>
+                    <td>${test.canTest ? test.statistic.toFixed(2) : '-'}</td>
+                    <td>${test.canTest ? test.df : '-'}</td>
+                    <td>${test.canTest ? test.pValue.toFixed(4) : '-'}</td>
+                    <td>${verdict}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="analysis-point">
+                <strong>${this.t('gof.chiSquareTitle', { count: fit.n })}</strong>
+                <div class="table-responsive">
+                    <table class="gof-table">
+                        <thead>
+                            <tr>
+                                <th>${this.t('common.test')}</th>
+                                <th>χ²</th>
+                                <th>df</th>
+                                <th>p-value</th>
+                                <th>${this.t('common.result')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${testRows}</tbody>
+                    </table>
+                </div>
+                <p class="gof-note">${this.t('gof.mergeNote')}</p>
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('gof.stateTitle')}</strong>
+                <div class="table-responsive">
+                    <table class="gof-table">
+                        <thead>
+                            <tr>
+                                <th>State</th>
+                                <th>${this.t('gof.probability')}</th>
+                                <th>Expected</th>
+                                <th>${this.t('gof.observedRoll1')}</th>
+                                <th>${this.t('gof.observedRoll2')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${stateRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('gof.classificationTitle')}</strong>
+                <div class="table-responsive">
+                    <table class="gof-table">
+                        <thead>
+                            <tr>
+                                <th>${this.t('gof.classification')}</th>
+                                <th>${this.t('gof.probability')}</th>
+                                <th>Expected</th>
+                                <th>${this.t('gof.observed')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${classificationRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <details class="gof-details">
+                <summary>${this.t('gof.fullDistribution')}</summary>
+                <div class="table-responsive">
+                    <table class="gof-table">
+                        <thead>
+                            <tr>
+                                <th>Total</th>
+                                <th>${this.t('gof.probability')}</th>
+                                <th>Expected</th>
+                                <th>${this.t('gof.observedRoll1')}</th>
+                                <th>${this.t('gof.observedRoll2')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${totalRows}</tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+    }
+
+    renderDieFairness() {
+        const container = document.getElementById('dieFairness');
+        const fairness = this.getDieFairness();
+
+        if (!fairness) {
+            container.innerHTML = `<p class="empty-state">${this.t('fairness.empty')}</p>`;
+            return;
+        }
+
+        const formatRow = (die, alpha, highlight) => {
+            let verdict;
+            if (!die.canTest) {
+                verdict = `<span class="verdict-na">${this.t('common.notEnoughData')}</span>`;
+            } else if (die.pValue < alpha) {
+                verdict = `<span class="verdict-flag">⚠️ ${this.t('fairness.biased')}</span>`;
+            } else {
+                verdict = `<span class="verdict-pass">✅ ${this.t('fairness.fair')}</span>`;
+            }
+            return `
+                <tr${highlight ? ' class="backtest-highlight"' : ''}>
+                    <td><strong>${die.label}</strong></td>
+                    ${[1, 2, 3, 4, 5, 6].map(face => `<td>${die.counts[face]}</td>`).join('')}
+                    <td>${die.mean.toFixed(2)}</td>
+                    <td>${die.canTest ? die.statistic.toFixed(2) : '-'}</td>
+                    <td>${die.canTest ? die.pValue.toFixed(4) : '-'}</td>
+                    <td>${verdict}</td>
+                </tr>
+            `;
+        };
+
+        container.innerHTML = `
+            <div class="analysis-point">
+                <strong>${this.t('fairness.gamesWithFaces')}</strong> ${this.t('fairness.throwsPerDie', { games: fairness.games, throws: fairness.games * 2 })}
+            </div>
+            <div class="table-responsive">
+                <table class="gof-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('fairness.dieColumn')}</th>
+                            <th>⚀ 1</th>
+                            <th>⚁ 2</th>
+                            <th>⚂ 3</th>
+                            <th>⚃ 4</th>
+                            <th>⚄ 5</th>
+                            <th>⚅ 6</th>
+                            <th>${this.t('common.mean')}</th>
+                            <th>χ²</th>
+                            <th>p-value</th>
+                            <th>${this.t('common.result')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${fairness.dice.map(die => formatRow(die, fairness.alpha, false)).join('')}
+                        ${formatRow(fairness.overall, 0.05, true)}
+                    </tbody>
+                </table>
+            </div>
+            <p class="gof-note">${this.t('fairness.note', { dice: this.diceCount, minThrows: fairness.minThrows })}</p>
+        `;
+    }
+
+    renderRandomnessTests() {
+        const container = document.getElementById('randomnessTests');
+        const tests = this.getRandomnessTests();
+
+        if (!tests) {
+            container.innerHTML = `<p class="empty-state">${this.t('randomness.notEnoughData')}</p>`;
+            return;
+        }
+
+        const formatVerdict = (test) => {
+            if (!test.canTest) return `<span class="verdict-na">${this.t('common.notEnoughData')}</span>`;
+            return test.pValue < 0.05
+                ? `<span class="verdict-flag">⚠️ ${this.t('randomness.dependent')}</span>`
+                : `<span class="verdict-pass">✅ ${this.t('randomness.passed')}</span>`;
+        };
+        const formatRow = (label, statisticLabel, test, statistic) => `
+            <tr>
+                <td><strong>${label}</strong></td>
+                <td>${test.n}</td>
+                <td>${test.canTest ? `${statisticLabel} = ${statistic}` : '-'}</td>
+                <td>${test.canTest ? test.pValue.toFixed(4) : '-'}</td>
+                <td>${formatVerdict(test)}</td>
+            </tr>
+        `;
+        const formatRuns = (test) => test.method === 'eksak'
+            ? this.t('randomness.runsExact', { runs: test.runs, expected: test.expected.toFixed(1) })
+            : this.t('randomness.runsNormal', { statistic: test.statistic.toFixed(2), runs: test.runs, expected: test.expected.toFixed(1) });
+
+        const { classificationRuns, trendRuns, roll2Autocorrelation, withinGame, betweenGames } = tests;
+
+        const rows = [
+            formatRow(this.t('randomness.classificationRuns', { kecil: this.formatClassification('KECIL'), besar: this.formatClassification('BESAR') }),
+                classificationRuns.method === 'eksak' ? 'Run' : 'z', classificationRuns,
+                classificationRuns.canTest ? formatRuns(classificationRuns) : ''),
+            formatRow(this.t('randomness.trendRuns', { naik: this.formatDirection('naik'), turun: this.formatDirection('turun') }),
+                trendRuns.method === 'eksak' ? 'Run' : 'z', trendRuns,
+                trendRuns.canTest ? formatRuns(trendRuns) : ''),
+            formatRow('Ljung-Box Roll 2', 'Q', roll2Autocorrelation,
+                roll2Autocorrelation.canTest ? `${roll2Autocorrelation.statistic.toFixed(2)} (df ${roll2Autocorrelation.df})` : ''),
+            ...(roll2Autocorrelation.lags || []).map(lag =>
+                formatRow(this.t('randomness.autocorrelation', { lag: lag.lag }), 'r', { canTest: true, n: roll2Autocorrelation.n, pValue: lag.pValue }, lag.statistic.toFixed(3))),
+            formatRow(this.t('randomness.withinGame'), 'r', withinGame,
+                withinGame.canTest ? withinGame.statistic.toFixed(3) : ''),
+            formatRow(this.t('randomness.betweenGames'), 'r', betweenGames,
+                betweenGames.canTest ? betweenGames.statistic.toFixed(3) : '')
+        ].join('');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="randomness-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('common.test')}</th>
+                            <th>n</th>
+                            <th>${this.t('randomness.statistic')}</th>
+                            <th>p-value</th>
+                            <th>${this.t('common.result')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <p class="gof-note">${this.t('randomness.note')}</p>
+        `;
+    }
+
+    renderStreaks() {
+        const container = document.getElementById('streakOutput');
+        const analysis = this.getStreakAnalysis();
+        const canvas = document.getElementById('runLengthChart');
+
+        if (!analysis) {
+            container.innerHTML = `<p class="empty-state">${this.t('streak.empty')}</p>`;
+            canvas.hidden = true;
+            return;
+        }
+
+        const { categories } = analysis;
+        if (!categories.some(c => c.value === this.streakCategory)) this.streakCategory = 'KECIL';
+        const formatValue = (category) => category.key === 'classification' ? this.formatClassification(category.value) : category.value;
+        document.getElementById('streakCategory').innerHTML = categories
+            .map(c => `<option value="${c.value}"${c.value === this.streakCategory ? ' selected' : ''}>${formatValue(c)}</option>`)
+            .join('');
+
+        const formatLabel = (category) => category.key === 'state2'
+            ? `<span class="state-badge ${this.getStateClass(category.value)}">${category.value}</span>`
+            : `<strong>${formatValue(category)}</strong>`;
+        const formatPercent = (value) => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+
+        container.innerHTML = `
+            <div class="analysis-point">
+                <strong>${this.t('streak.data')}</strong> ${this.t('streak.dataValue', { games: analysis.games, sessions: analysis.sessions })}
+            </div>
+            <div class="table-responsive">
+                <table class="randomness-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('streak.category')}</th>
+                            <th>${this.t('streak.probability')}</th>
+                            <th>${this.t('streak.current')}</th>
+                            <th>${this.t('streak.longest')}</th>
+                            <th>${this.t('streak.longestProbability')}</th>
+                            <th>${this.t('streak.runs')}</th>
+                            <th>${this.t('streak.meanLength')}</th>
+                            <th>${this.t('streak.geometricTest')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${categories.map(category => {
+                            const unusual = category.longestProbability !== null && category.longestProbability < 0.05;
+                            let fitVerdict;
+                            if (!category.fit.canTest) {
+                                fitVerdict = `<span class="verdict-na">${this.t('common.notEnoughData')}</span>`;
+                            } else if (category.fit.pValue < 0.05) {
+                                fitVerdict = `<span class="verdict-flag">p = ${category.fit.pValue.toFixed(3)}</span>`;
+                            } else {
+                                fitVerdict = `<span class="verdict-pass">p = ${category.fit.pValue.toFixed(3)}</span>`;
+                            }
+                            return `
+                                <tr${unusual ? ' class="streak-unusual"' : ''}>
+                                    <td>${formatLabel(category)}</td>
+                                    <td>${formatPercent(category.probability)}</td>
+                                    <td>${category.current}</td>
+                                    <td>${category.longest}</td>
+                                    <td>${unusual ? '<span class="verdict-flag">⚠️ ' : ''}${formatPercent(category.longestProbability)}${unusual ? '</span>' : ''}</td>
+                                    <td>${category.runs}</td>
+                                    <td>${category.meanLength === null ? '-' : category.meanLength.toFixed(2)} (${category.expectedMeanLength === null ? '-' : category.expectedMeanLength.toFixed(2)})</td>
+                                    <td>${fitVerdict}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="gof-note">${this.t('streak.note')}</p>
+        `;
+
+        canvas.hidden = false;
+        const selected = categories.find(c => c.value === this.streakCategory);
+        this.drawRunLengthChart(canvas, selected, formatValue(selected));
+    }
+
+    drawRunLengthChart(canvas, category, label) {
+        const { ctx, width, height } = this.setupHiDPICanvas(canvas);
+        ctx.clearRect(0, 0, width, height);
+
+        // Sumbu X diperpanjang sampai ekspektasi geometrik praktis nol
+        let maxLength = Math.max(category.longest, 1);
+        while (category.runs * (1 - category.probability) * Math.pow(category.probability, maxLength) >= 0.5) maxLength++;
+        const bins = this.getExpectedRunLengths(category, maxLength);
+
+        const maxCount = Math.max(...bins.map(b => Math.max(b.observed, b.expected)), 1);
+        const yStep = this.getNiceStep(maxCount, 5);
+        const yMax = Math.ceil(maxCount / yStep) * yStep;
+        const left = 45, right = width - 15, top = 28, bottom = height - 35;
+        const binWidth = (right - left) / bins.length;
+        const layout = {
+            left, right, top, bottom,
+            toX: (length) => left + (length - 0.5) * binWidth,
+            toY: (count) => bottom - (count / yMax) * (bottom - top)
+        };
+
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'right';
+        for (let v = 0; v <= yMax; v += yStep) {
+            ctx.strokeStyle = '#ddd';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(left, layout.toY(v));
+            ctx.lineTo(right, layout.toY(v));
+            ctx.stroke();
+            ctx.fillStyle = '#333';
+            ctx.fillText(v, left - 8, layout.toY(v) + 4);
+        }
+
+        ctx.textAlign = 'center';
+        const tickStep = this.getNiceStep(bins.length, Math.max(2, Math.floor((right - left) / 40)));
+        bins.forEach(bin => {
+            if (bin.length === 1 || bin.length % tickStep === 0) ctx.fillText(bin.length, layout.toX(bin.length), bottom + 18);
+
+            ctx.fillStyle = 'rgba(102, 126, 234, 0.75)';
+            const y = layout.toY(bin.observed);
+            ctx.fillRect(layout.toX(bin.length) - binWidth * 0.4, y, binWidth * 0.8, bottom - y);
+        });
+
+        // Ekspektasi geometrik
+        ctx.strokeStyle = '#e74c3c';
+        ctx.fillStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        bins.forEach((bin, i) => {
+            if (i === 0) ctx.moveTo(layout.toX(bin.length), layout.toY(bin.expected));
+            else ctx.lineTo(layout.toX(bin.length), layout.toY(bin.expected));
+        });
+        ctx.stroke();
+        bins.forEach(bin => {
+            ctx.beginPath();
+            ctx.arc(layout.toX(bin.length), layout.toY(bin.expected), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        this.drawChartAxes(ctx, layout);
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.t('streak.chart.length'), left, height - 2);
+        this.drawChartLegend(ctx, width, [
+            { label: this.t('streak.chart.observed', { category: label }), color: 'rgba(102, 126, 234, 0.75)' },
+            { label: this.t('streak.chart.geometric'), color: '#e74c3c' }
+        ]);
+    }
+
+    renderPredictionLog() {
+        const container = document.getElementById('predictionLog');
+        document.getElementById('logModel').innerHTML = this.predictors
+            .map(p => `<option value="${p.id}"${p.id === this.logPredictorId ? ' selected' : ''}>${p.name}</option>`)
+            .join('');
+
+        const stats = this.getPredictionLogStats();
+        const pending = this.predictionLog.filter(e => e.actual === null && !e.voided).length;
+        const voided = this.predictionLog.filter(e => e.voided).length;
+        const voidedNote = voided > 0 ? ` ${this.t('log.voided', { count: voided })}` : '';
+
+        if (!stats) {
+            this.drawReliabilityChart(null);
+            container.innerHTML = `<p class="empty-state">${this.t('log.empty', { pending })}${voidedNote}</p>`;
+            return;
+        }
+
+        this.drawReliabilityChart(stats.buckets);
+
+        const streakChips = stats.outcomes.slice(-30).map(o =>
+            `<span class="streak-chip ${o.hit ? 'streak-hit' : 'streak-miss'}" title="${this.t('log.chipTitle', { kecil: this.formatClassification('KECIL'), percent: Math.round(o.probability * 100), actual: this.formatClassification(o.actual) })}">${o.hit ? '✓' : '✗'}</span>`
+        ).join('');
+
+        const bucketRows = stats.buckets.filter(b => b.count > 0).map(b => `
+            <tr>
+                <td>${Math.round(b.from * 100)}-${Math.round(b.to * 100)}%</td>
+                <td>${b.count}</td>
+                <td>${(b.meanForecast * 100).toFixed(1)}%</td>
+                <td>${(b.observed * 100).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+
+        const recentRows = stats.outcomes.slice(-10).reverse().map(({ entry, probability, actual, hit }) => `
+            <tr>
+                <td>${this.i18n.formatDateTime(new Date(entry.createdAt))}</td>
+                <td>${Math.round(probability * 100)}%</td>
+                <td><strong>${this.formatClassification(actual)}</strong></td>
+                <td>${hit ? '<span class="verdict-pass">✓</span>' : '<span class="verdict-flag">✗</span>'}</td>
+                <td class="log-settings">${this.t('log.settings', {
+                    profile: entry.settings.profile.name,
+                    scheme: entry.settings.scheme.name,
+                    threshold: entry.settings.scheme.threshold,
+                    order: entry.settings.markov.order,
+                    alpha: entry.settings.markov.alpha
+                })}${entry.settings.window ? `, ${this.describeAnalysisWindow(entry.settings.window)}` : ''}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="stats-grid log-stats">
+                <div class="stat-box">
+                    <span class="label">${this.t('log.scored')}</span>
+                    <span class="value">${stats.count}</span>
+                </div>
+                <div class="stat-box">
+                    <span class="label">${this.t('log.accuracy')}</span>
+                    <span class="value">${(stats.accuracy * 100).toFixed(1)}%</span>
+                </div>
+                <div class="stat-box">
+                    <span class="label">Brier Score:</span>
+                    <span class="value">${stats.brier.toFixed(3)}</span>
+                </div>
+                <div class="stat-box">
+                    <span class="label">${this.t('log.currentStreak')}</span>
+                    <span class="value">${stats.currentStreak.length} ${stats.currentStreak.hit ? 'hit' : 'miss'}</span>
+                </div>
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('log.recentChips')}</strong>
+                <div class="streak-strip">${streakChips}</div>
+                ${this.t('log.longest', { hit: stats.longestHit, miss: stats.longestMiss, pending })}${voidedNote}
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('log.reliability', { kecil: this.formatClassification('KECIL') })}</strong>
+                <div class="table-responsive">
+                    <table class="gof-table">
+                        <thead>
+                            <tr>
+                                <th>Bucket</th>
+                                <th>${this.t('log.count')}</th>
+                                <th>${this.t('log.meanForecast')}</th>
+                                <th>${this.t('log.observedKecil', { kecil: this.formatClassification('KECIL') })}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${bucketRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('log.recentEntries')}</strong>
+                <div class="table-responsive">
+                    <table class="gof-table">
+                        <thead>
+                            <tr>
+                                <th>${this.t('log.forecastTime')}</th>
+                                <th>${this.formatClassification('KECIL')}</th>
+                                <th>${this.t('log.actual')}</th>
+                                <th>Hit</th>
+                                <th>${this.t('log.settingsColumn')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${recentRows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    drawReliabilityChart(buckets) {
+        const canvas = document.getElementById('reliabilityChart');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!buckets) return;
+
+        const padding = 40;
+        const size = Math.min(canvas.width, canvas.height) - 2 * padding;
+        const toX = (p) => padding + p * size;
+        const toY = (p) => padding + size - p * size;
+
+        // Grid & diagonal kalibrasi sempurna
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 5; i++) {
+            ctx.beginPath();
+            ctx.moveTo(toX(0), toY(i / 5));
+            ctx.lineTo(toX(1), toY(i / 5));
+            ctx.stroke();
+        }
+        ctx.strokeStyle = '#999';
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(0));
+        ctx.lineTo(toX(1), toY(1));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Titik bucket, ukuran sesuai jumlah prakiraan
+        const maxCount = Math.max(...buckets.map(b => b.count));
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let started = false;
+        buckets.filter(b => b.count > 0).forEach(b => {
+            const x = toX(b.meanForecast);
+            const y = toY(b.observed);
+            if (!started) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+            started = true;
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#764ba2';
+        buckets.filter(b => b.count > 0).forEach(b => {
+            ctx.beginPath();
+            ctx.arc(toX(b.meanForecast), toY(b.observed), 3 + 5 * (b.count / maxCount), 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        // Axes & labels
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(1));
+        ctx.lineTo(toX(0), toY(0));
+        ctx.lineTo(toX(1), toY(0));
+        ctx.stroke();
+
+        ctx.fillStyle = '#333';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 5; i++) {
+            ctx.fillText(`${i * 20}%`, toX(i / 5), toY(0) + 18);
+            ctx.fillText(`${i * 20}%`, toX(0) - 20, toY(i / 5) + 4);
+        }
+        ctx.fillText(this.t('log.chartAxis', { kecil: this.formatClassification('KECIL') }), toX(0.5), canvas.height - 4);
+    }
+
+    renderSimulationOptions() {
+        const mode = document.getElementById('simMode').value;
+        document.getElementById('simBiasOptions').hidden = mode !== 'biased';
+        document.getElementById('simStickyOptions').hidden = mode !== 'sticky';
+    }
+
+    renderSimulation() {
+        this.renderSimulationOptions();
+        const container = document.getElementById('simulationOutput');
+        const report = this.simulationReport;
+        // Laporan hanya valid selama game simulasinya masih ada
+        if (!report || !this.games.some(g => g.sessionId === report.sessionId)) {
+            container.innerHTML = `<p class="empty-state">${this.t('sim.empty')}</p>`;
+            return;
+        }
+        if (report.pending) {
+            container.innerHTML = `<p class="empty-state">${this.t('sim.computing')}</p>`;
+            return;
+        }
+
+        const { randomness, fairness } = report;
+        const formatP = (test) => test && test.canTest ? test.pValue.toFixed(4) : '-';
+        const lag1 = randomness.roll2Autocorrelation.canTest ? randomness.roll2Autocorrelation.lags[0] : null;
+        const expectation = this.t(`sim.expectation.${report.simulation.mode}`, {
+            kecil: this.formatClassification('KECIL'),
+            besar: this.formatClassification('BESAR')
+        });
+        // Deskripsi & nama model dibentuk ulang agar ikut bahasa yang sedang aktif
+        const modelLabel = (model) => this.getPredictor(model.predictorId).name;
+
+        container.innerHTML = `
+            <div class="analysis-point">
+                <strong>${this.escapeHTML(report.name)}:</strong> ${this.t('common.games', { count: report.count })} · ${this.describeSimulation(report.simulation)}
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('sim.groundTruth')}</strong> ${expectation}
+            </div>
+            <div class="table-responsive">
+                <table class="backtest-table">
+                    <thead>
+                        <tr>
+                            <th>Model</th>
+                            <th>Hit Rate</th>
+                            <th>95% CI</th>
+                            <th>Brier Score</th>
+                            <th>${this.t('common.result')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.models.map(model => model.canTest ? `
+                            <tr>
+                                <td><strong>${modelLabel(model)}</strong></td>
+                                <td>${(model.hitRate * 100).toFixed(1)}%</td>
+                                <td>${(model.lower * 100).toFixed(1)}% - ${(model.upper * 100).toFixed(1)}%</td>
+                                <td>${model.brier.toFixed(3)}</td>
+                                <td>${model.lower > 0.5
+                                    ? `<span class="verdict-flag">${this.t('sim.aboveChance')}</span>`
+                                    : `<span class="verdict-pass">${this.t('sim.notBetter')}</span>`}</td>
+                            </tr>
+                        ` : `
+                            <tr>
+                                <td><strong>${modelLabel(model)}</strong></td>
+                                <td colspan="4"><span class="verdict-na">${this.t('common.notEnoughData')}</span></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="table-responsive">
+                <table class="randomness-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('sim.check')}</th>
+                            <th>${this.t('common.result')}</th>
+                            <th>p-value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>${this.t('sim.kecilRate', { kecil: this.formatClassification('KECIL'), theoretical: (report.theoreticalKecil * 100).toFixed(1) })}</td>
+                            <td>${(report.kecilRate * 100).toFixed(1)}%</td>
+                            <td>-</td>
+                        </tr>
+                        <tr>
+                            <td>${this.t('randomness.classificationRuns', { kecil: this.formatClassification('KECIL'), besar: this.formatClassification('BESAR') })}</td>
+                            <td>${randomness.classificationRuns.canTest ? `${randomness.classificationRuns.runs} run` : '-'}</td>
+                            <td>${formatP(randomness.classificationRuns)}</td>
+                        </tr>
+                        <tr>
+                            <td>${this.t('randomness.autocorrelation', { lag: 1 })}</td>
+                            <td>${lag1 ? lag1.statistic.toFixed(3) : '-'}</td>
+                            <td>${formatP(lag1 ? { canTest: true, pValue: lag1.pValue } : null)}</td>
+                        </tr>
+                        <tr>
+                            <td>${this.t('randomness.withinGame')}</td>
+                            <td>${randomness.withinGame.canTest ? `r = ${randomness.withinGame.statistic.toFixed(3)}` : '-'}</td>
+                            <td>${formatP(randomness.withinGame)}</td>
+                        </tr>
+                        <tr>
+                            <td>${this.t('sim.fairnessOverall')}</td>
+                            <td>${fairness ? `${this.t('common.mean')} ${fairness.overall.mean.toFixed(2)}` : '-'}</td>
+                            <td>${fairness ? formatP(fairness.overall) : '-'}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            <p class="gof-note">${this.t('sim.note')}</p>
+        `;
+    }
+
+    renderCompare() {
+        this.renderWindowControls('compare', this.compareWindow);
+        const container = document.getElementById('compareOutput');
+        const games = this.getSessionGames();
+
+        if (games.length === 0) {
+            container.innerHTML = `<p class="empty-state">${this.t('compare.empty')}</p>`;
+            return;
+        }
+
+        const { a, b } = this.compareAnalysisWindows(games, this.analysisWindow, this.compareWindow);
+        const kecil = this.formatClassification('KECIL');
+        const fixed = (digits) => (value) => value.toFixed(digits);
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+        const signed = (format) => (value) => `${value > 0 ? '+' : ''}${format(value)}`;
+        const period = (summary) => summary.totalGames === 0
+            ? '-'
+            : `${this.i18n.formatDateTime(summary.from)} – ${this.i18n.formatDateTime(summary.to)}`;
+
+        // Baris numerik punya kolom Δ (B − A); nilai null = jendela kosong atau data belum cukup
+        const rows = [
+            { label: this.t('compare.games'), a: a.totalGames, b: b.totalGames, format: String },
+            { label: this.t('compare.period'), text: [period(a), period(b)] },
+            { label: this.t('compare.avgRoll1'), a: a.avgRoll1, b: b.avgRoll1, format: fixed(1) },
+            { label: this.t('compare.avgRoll2'), a: a.avgRoll2, b: b.avgRoll2, format: fixed(1) },
+            { label: this.t('compare.classRate', { classification: kecil }), a: a.kecilRate, b: b.kecilRate, format: percent },
+            ...this.getStates().map(state => ({
+                label: this.t('compare.stateShare', { state }),
+                a: a.totalGames > 0 ? a.stateShares[state] : null,
+                b: b.totalGames > 0 ? b.stateShares[state] : null,
+                format: percent
+            })),
+            { label: this.t('compare.trend'), text: [this.formatTrendDominant(a.trendDominant), this.formatTrendDominant(b.trendDominant)] },
+            { label: this.t('compare.prediction', { classification: kecil }), a: a.prediction, b: b.prediction, format: (value) => `${value}%` }
+        ];
+
+        const formatRow = (row) => {
+            if (row.text) return `<tr><td><strong>${row.label}</strong></td><td>${row.text[0]}</td><td>${row.text[1]}</td><td>-</td></tr>`;
+            const show = (value) => value === null ? '-' : row.format(value);
+            const delta = row.a === null || row.b === null ? '-' : signed(row.format)(row.b - row.a);
+            return `<tr><td><strong>${row.label}</strong></td><td>${show(row.a)}</td><td>${show(row.b)}</td><td>${delta}</td></tr>`;
+        };
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="compare-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('compare.metric')}</th>
+                            <th>${this.t('compare.windowA', { window: this.describeAnalysisWindow() })}</th>
+                            <th>${this.t('compare.windowBColumn', { window: this.describeAnalysisWindow(this.compareWindow) })}</th>
+                            <th>Δ</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(formatRow).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderBacktest() {
+        const container = document.getElementById('backtestOutput');
+        document.getElementById('backtestModel').innerHTML = this.predictors
+            .map(p => `<option value="${p.id}"${p.id === this.backtestPredictorId ? ' selected' : ''}>${p.name}</option>`)
+            .join('');
+
+        if (!this.backtestEnabled) {
+            container.innerHTML = `<p class="empty-state">${this.t('backtest.disabled')}</p>`;
+            return;
+        }
+
+        // Backtest walk-forward mahal (kuadratik terhadap jumlah game): hanya dihitung ulang bila data atau
+        // pengaturan yang dipakai berubah, dan selalu per potongan di belakang layar
+        const games = this.getAnalysisGames();
+        const key = JSON.stringify({
+            predictorId: this.backtestPredictorId,
+            scheme: this.getActiveScheme(),
+            profile: this.getActiveProfile(),
+            markov: this.markovSettings,
+            locale: this.i18n.locale,
+            games: games.map(g => [g.id, g.roll1, g.roll2])
+        });
+        if (!this.backtestResult || this.backtestResult.key !== key) {
+            if (!this.backtestPending || this.backtestPending.key !== key) this.startBacktest(key, games);
+            container.innerHTML = `<p class="empty-state">${this.t('backtest.computing')}</p>`;
+            return;
+        }
+
+        const { result } = this.backtestResult;
+        if (!result) {
+            container.innerHTML = `<p class="empty-state">${this.t('backtest.notEnoughData')}</p>`;
+            return;
+        }
+
+        const { model, baselines, confusion } = result;
+        const formatRow = (score, highlight) => `
+            <tr${highlight ? ' class="backtest-highlight"' : ''}>
+                <td><strong>${score.label}</strong></td>
+                <td>${(score.hitRate * 100).toFixed(1)}%</td>
+                <td>${score.brier.toFixed(3)}</td>
+                <td>${score.logLoss.toFixed(3)}</td>
+            </tr>
+        `;
+        const bestBaselineBrier = Math.min(...baselines.map(b => b.brier));
+        const beatsBaselines = model.brier < bestBaselineBrier;
+
+        container.innerHTML = `
+            <div class="analysis-point">
+                <strong>${this.t('backtest.steps')}</strong> ${this.t('backtest.stepsValue', { count: result.steps })}
+            </div>
+            <div class="table-responsive">
+                <table class="backtest-table">
+                    <thead>
+                        <tr>
+                            <th>Model</th>
+                            <th>Hit Rate</th>
+                            <th>Brier Score</th>
+                            <th>Log Loss</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${formatRow(model, true)}
+                        ${baselines.map(b => formatRow(b, false)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="analysis-point">
+                <strong>Confusion Matrix (${model.label}):</strong>
+                <table class="backtest-table confusion-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('backtest.actualPredicted')}</th>
+                            <th>${this.formatClassification('KECIL')}</th>
+                            <th>${this.formatClassification('BESAR')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td><strong>${this.formatClassification('KECIL')}</strong></td>
+                            <td>${confusion.KECIL.KECIL}</td>
+                            <td>${confusion.KECIL.BESAR}</td>
+                        </tr>
+                        <tr>
+                            <td><strong>${this.formatClassification('BESAR')}</strong></td>
+                            <td>${confusion.BESAR.KECIL}</td>
+                            <td>${confusion.BESAR.BESAR}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            <div class="analysis-point">
+                <strong>${this.t('backtest.conclusion')}</strong> ${this.t(beatsBaselines ? 'backtest.beats' : 'backtest.loses', { model: model.label })}
+            </div>
+        `;
+    }
 }
 
 // ============ INITIALIZATION ============
 document.addEventListener('DOMContentLoaded', () => {
     new DiceAnalysisSystem();
-});
\ No newline at end of file
+});
@@ -0,0 +1,225 @@
+// ============================================
+// 💾 DICE STORAGE
+// Penyimpanan game di IndexedDB, dengan fallback localStorage bila IndexedDB tidak tersedia.
+// Setiap penulisan disiarkan ke tab lain agar semua tab yang terbuka tetap sinkron.
+// ============================================
+
+class DiceStorage {
+    constructor({ dbName = 'diceAnalysis', legacyKey = 'diceGames', quarantineKey = 'diceQuarantine', channelName = 'diceSync', i18n = null } = {}) {
+        // Pesan kesalahan sampai ke UI dan alasan karantina, jadi ikut bahasa aplikasi
+        this.i18n = i18n || new DiceI18n();
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.legacyKey = legacyKey;
+        this.quarantineKey = quarantineKey;
+        this.channelName = channelName;
+        this.db = null;
+        this.backend = null;
+        // Alasan jatuh ke localStorage, ditampilkan di baris status penyimpanan
+        this.openError = null;
+        this.channel = null;
+        // Dipanggil dengan { put, remove } setiap kali tab lain menulis
+        this.onRemoteChange = null;
+    }
+
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    // ============ CONNECTION ============
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            this.backend = 'localstorage';
+            return this.backend;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            this.backend = 'indexeddb';
+        } catch (err) {
+            this.openError = err.message;
+            this.backend = 'localstorage';
+        }
+        return this.backend;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = (e) => this.upgrade(request.result, e.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(this.t('storage.error.blocked')));
+        });
+    }
+
+    listen() {
+        // Dipanggil setelah data awal dimuat, agar pesan tidak diproses sebelum aplikasi siap
+        const receive = (message) => {
+            if (message && this.onRemoteChange) this.onRemoteChange(message);
+        };
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (e) => receive(e.data);
+            return;
+        }
+
+        // Fallback: event "storage" hanya terpicu di tab lain, bukan di tab yang menulis
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.channelName || !e.newValue) return;
+            let message;
+            try {
+                message = JSON.parse(e.newValue);
+            } catch (err) {
+                // Pesan rusak dilewati; data tab ini tetap benar dan terbaca ulang saat dimuat berikutnya
+                return;
+            }
+            receive(message);
+        });
+    }
+
+    broadcast(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+        // Nonce membuat nilainya selalu berubah, sehingga event storage tetap terpicu
+        localStorage.setItem(this.channelName, JSON.stringify({ ...message, nonce: Math.random() }));
+    }
+
+    upgrade(db, oldVersion) {
+        // Tiap versi hanya menambah perubahannya sendiri, sehingga database versi berapa pun bisa dinaikkan bertahap
+        if (oldVersion < 1) {
+            db.createObjectStore('games', { keyPath: 'id' });
+            db.createObjectStore('quarantine', { keyPath: 'key', autoIncrement: true });
+            db.createObjectStore('meta');
+        }
+    }
+
+    transaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error(this.t('storage.error.aborted')));
+        });
+    }
+
+    getAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName).objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ============ GAMES ============
+    async loadRecords() {
+        // Record mentah; validasi isi game dilakukan pemanggil (DiceAnalytics.deserializeGame)
+        if (this.backend === 'indexeddb') {
+            await this.migrateLegacy();
+            return this.getAll('games');
+        }
+
+        return this.readLegacyRecords();
+    }
+
+    async writeChanges({ put = [], remove = [] }) {
+        if (put.length === 0 && remove.length === 0) return;
+
+        if (this.backend === 'indexeddb') {
+            await this.transaction(['games'], 'readwrite', tx => {
+                const store = tx.objectStore('games');
+                remove.forEach(id => store.delete(id));
+                put.forEach(record => store.put(record));
+            });
+        } else {
+            // Array dibaca ulang tepat sebelum ditulis, agar game yang ditambahkan tab lain tidak tertimpa
+            const records = new Map((await this.readLegacyRecords()).map(record => [record.id, record]));
+            remove.forEach(id => records.delete(id));
+            put.forEach(record => records.set(record.id, record));
+            localStorage.setItem(this.legacyKey, JSON.stringify([...records.values()]));
+        }
+
+        this.broadcast({ put, remove });
+    }
+
+    // ============ LEGACY MIGRATION ============
+    async readLegacyRecords() {
+        const raw = localStorage.getItem(this.legacyKey);
+        if (raw === null) return [];
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+            if (!Array.isArray(parsed)) throw new Error(this.t('storage.error.notArray'));
+        } catch (err) {
+            // Seluruh isi key rusak: simpan apa adanya di karantina lalu mulai dari kosong
+            await this.quarantine([{ record: raw, reason: this.t('storage.error.corruptJson', { key: this.legacyKey, message: err.message }) }]);
+            localStorage.removeItem(this.legacyKey);
+            return [];
+        }
+
+        // Record tanpa id numerik tidak bisa menjadi key IndexedDB; setelah dikarantina dikeluarkan dari key,
+        // agar tidak dikarantina ulang setiap kali array ini dibaca
+        const valid = parsed.filter(record => record && Number.isFinite(record.id));
+        if (valid.length < parsed.length) {
+            await this.quarantine(parsed.filter(record => !record || !Number.isFinite(record.id))
+                .map(record => ({ record, reason: this.t('record.invalidId', { id: record && record.id }) })));
+            localStorage.setItem(this.legacyKey, JSON.stringify(valid));
+        }
+        return valid;
+    }
+
+    async migrateLegacy() {
+        // Data lama dari key diceGames dipindah sekali ke IndexedDB, lalu key-nya dihapus
+        if (localStorage.getItem(this.legacyKey) === null) return;
+
+        const records = await this.readLegacyRecords();
+        await this.transaction(['games', 'meta'], 'readwrite', tx => {
+            const store = tx.objectStore('games');
+            records.forEach(record => store.put(record));
+            tx.objectStore('meta').put({ from: this.legacyKey, count: records.length, at: new Date().toISOString() }, 'legacyMigration');
+        });
+        localStorage.removeItem(this.legacyKey);
+    }
+
+    // ============ QUARANTINE ============
+    async quarantine(entries) {
+        const stamped = entries.map(({ record, reason }) => ({ record, reason, quarantinedAt: new Date().toISOString() }));
+
+        if (this.backend === 'indexeddb') {
+            await this.transaction(['quarantine'], 'readwrite', tx => {
+                const store = tx.objectStore('quarantine');
+                stamped.forEach(entry => store.add(entry));
+            });
+            return;
+        }
+
+        localStorage.setItem(this.quarantineKey, JSON.stringify([...this.readLocalQuarantine(), ...stamped]));
+    }
+
+    readLocalQuarantine() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.quarantineKey) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    async getQuarantine() {
+        if (this.backend === 'indexeddb') return this.getAll('quarantine');
+        return this.readLocalQuarantine();
+    }
+
+    async clearQuarantine() {
+        if (this.backend === 'indexeddb') {
+            await this.transaction(['quarantine'], 'readwrite', tx => tx.objectStore('quarantine').clear());
+            return;
+        }
+        localStorage.removeItem(this.quarantineKey);
+    }
+}
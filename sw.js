@@ -0,0 +1,62 @@
+// ============================================
+// 📴 SERVICE WORKER
+// Menyimpan aset aplikasi di cache agar bisa dipakai penuh tanpa koneksi
+// ============================================
+
+// Naikkan versi setiap kali daftar aset berubah, agar cache lama dibersihkan saat activate
+const CACHE_NAME = 'dice-analysis-v3';
+const ASSETS = [
+    './',
+    'index.html',
+    'styles.css',
+    'i18n.js',
+    'analytics.js',
+    'storage.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png',
+    'icon-maskable-512.png',
+    'apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Cache dulu supaya langsung jalan di koneksi buruk; versi baru diambil di belakang untuk pemuatan berikutnya
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async cache => {
+            const cached = await cache.match(request, { ignoreSearch: true })
+                || (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached || Response.error());
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+            return network;
+        })
+    );
+});
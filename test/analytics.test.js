@@ -0,0 +1,585 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DiceAnalytics } = require('../analytics.js');
+
+function createAnalytics(rolls, options) {
+    const analytics = new DiceAnalytics(options);
+    analytics.setGames(rolls.map(([roll1, roll2], i) =>
+        analytics.createGame(roll1, roll2, { id: i + 1, timestamp: new Date(2024, 0, 1, 0, i), sessionId: 1 })));
+    return analytics;
+}
+
+test('band edges skema Standar', () => {
+    const analytics = new DiceAnalytics();
+    const expected = {
+        6: 'LOW', 18: 'LOW',
+        19: 'MID', 31: 'MID',
+        32: 'HIGH', 43: 'HIGH',
+        44: 'EXTREME', 54: 'EXTREME',
+        5: 'UNKNOWN', 55: 'UNKNOWN'
+    };
+    for (const [roll, state] of Object.entries(expected)) {
+        assert.equal(analytics.getState(Number(roll)), state, `roll ${roll}`);
+    }
+});
+
+test('ambang KECIL/BESAR inklusif di 31', () => {
+    const analytics = new DiceAnalytics();
+    assert.equal(analytics.getClassification(6), 'KECIL');
+    assert.equal(analytics.getClassification(31), 'KECIL');
+    assert.equal(analytics.getClassification(32), 'BESAR');
+    assert.equal(analytics.getClassification(54), 'BESAR');
+});
+
+test('band edges skema kustom dan porsi KECIL band yang melintasi ambang', () => {
+    const base = new DiceAnalytics();
+    const scheme = { name: 'Tiga', bands: base.parseBands('A:25, B:35, C:54'), threshold: 30 };
+    const analytics = new DiceAnalytics({ scheme });
+
+    assert.deepEqual(scheme.bands.map(b => [b.min, b.max]), [[6, 25], [26, 35], [36, 54]]);
+    assert.equal(analytics.getState(25), 'A');
+    assert.equal(analytics.getState(26), 'B');
+    assert.equal(analytics.getState(35), 'B');
+    assert.equal(analytics.getState(36), 'C');
+    assert.equal(analytics.getClassification(30), 'KECIL');
+    assert.equal(analytics.getClassification(31), 'BESAR');
+
+    const shares = analytics.getStateKecilShares();
+    assert.equal(shares.A, 1);
+    assert.equal(shares.C, 0);
+    assert.ok(shares.B > 0 && shares.B < 1);
+});
+
+test('parseBands menolak band yang tidak menutup 6-54', () => {
+    const analytics = new DiceAnalytics();
+    assert.throws(() => analytics.parseBands('LOW:30'), /Minimal 2 band/);
+    assert.throws(() => analytics.parseBands('LOW:30, HIGH:50'), /berakhir di 54/);
+    assert.throws(() => analytics.parseBands('LOW:30, HIGH:20, X:54'), /harus bilangan bulat 31-54/);
+});
+
+test('parseBands menolak nama band di luar huruf, angka, spasi, _ dan -', () => {
+    const analytics = new DiceAnalytics();
+    assert.throws(() => analytics.parseBands('<img src=x onerror=alert(1)>:30, HIGH:54'), /hanya boleh berisi/);
+    assert.throws(() => analytics.parseBands('LOW:30, "HIGH":54'), /hanya boleh berisi/);
+    assert.deepStrictEqual(analytics.parseBands('Low band:30, HIGH_2-X:54').map(b => b.name), ['Low band', 'HIGH_2-X']);
+});
+
+test('calculateTrend: naik, turun, stabil', () => {
+    const analytics = new DiceAnalytics();
+    assert.deepEqual(analytics.calculateTrend(20, 25), { direction: 'naik', diff: 5 });
+    assert.deepEqual(analytics.calculateTrend(25, 20), { direction: 'turun', diff: -5 });
+    assert.deepEqual(analytics.calculateTrend(30, 30), { direction: 'stabil', diff: 0 });
+});
+
+test('analyzeTrendDirection hanya memakai jendela analisis', () => {
+    // 5 game turun lalu 20 game naik: dengan jendela 20 game terakhir game turun tidak ikut dihitung
+    const rolls = [...Array(5).fill([40, 20]), ...Array(20).fill([20, 40])];
+    const analytics = createAnalytics(rolls, { analysisWindow: { mode: 'last', count: 20 } });
+    assert.deepEqual(analytics.analyzeTrendDirection(), { upCount: 20, downCount: 0, stableCount: 0 });
+    assert.equal(analytics.getTrendDominant(), 'naik');
+
+    analytics.analysisWindow = analytics.getDefaultAnalysisWindow();
+    assert.deepEqual(analytics.analyzeTrendDirection(), { upCount: 20, downCount: 5, stableCount: 0 });
+});
+
+test('applyAnalysisWindow: N terakhir, rentang timestamp inklusif, dan seluruh histori', () => {
+    // Game ke-i bertimestamp 2024-01-01 00:i
+    const analytics = createAnalytics(Array(10).fill([20, 40]));
+    const ids = (analysisWindow) => analytics.applyAnalysisWindow(analytics.games, analysisWindow).map(g => g.id);
+
+    assert.deepEqual(ids({ mode: 'all' }), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(ids({ mode: 'last', count: 3 }), [8, 9, 10]);
+    assert.equal(ids({ mode: 'last', count: 50 }).length, 10);
+    assert.deepEqual(ids({ mode: 'range', from: '2024-01-01T00:02', to: '2024-01-01T00:04' }), [3, 4, 5]);
+    assert.deepEqual(ids({ mode: 'range', from: '2024-01-01T00:08', to: '' }), [9, 10]);
+    assert.equal(ids({ mode: 'range', from: '', to: '2024-01-01' }).length, 10);
+    assert.deepEqual(ids({ mode: 'range', from: '2024-01-02', to: '' }), []);
+});
+
+test('validateAnalysisWindow', () => {
+    const analytics = new DiceAnalytics();
+    assert.equal(analytics.validateAnalysisWindow(analytics.getDefaultAnalysisWindow()), null);
+    assert.equal(analytics.validateAnalysisWindow({ mode: 'range', from: '', to: '' }), null);
+    assert.notEqual(analytics.validateAnalysisWindow({ mode: 'last', count: 0 }), null);
+    assert.notEqual(analytics.validateAnalysisWindow({ mode: 'last', count: 2.5 }), null);
+    assert.notEqual(analytics.validateAnalysisWindow({ mode: 'range', from: 'kemarin', to: '' }), null);
+    assert.notEqual(analytics.validateAnalysisWindow({ mode: 'range', from: '2024-02-01', to: '2024-01-01' }), null);
+    assert.notEqual(analytics.validateAnalysisWindow({ mode: 'minggu' }), null);
+});
+
+test('compareAnalysisWindows memperlihatkan pergeseran antar jendela', () => {
+    // 10 game KECIL lalu 5 game BESAR
+    const analytics = createAnalytics([...Array(10).fill([20, 20]), ...Array(5).fill([40, 45])]);
+    const { a, b } = analytics.compareAnalysisWindows(analytics.games, { mode: 'all' }, { mode: 'last', count: 5 });
+
+    assert.equal(a.totalGames, 15);
+    assert.equal(b.totalGames, 5);
+    assert.equal(a.kecilRate, 10 / 15);
+    assert.equal(b.kecilRate, 0);
+    assert.equal(b.avgRoll2, 45);
+    assert.equal(b.stateShares.EXTREME, 1);
+    assert.ok(b.prediction < a.prediction);
+
+    const empty = analytics.compareAnalysisWindows(analytics.games, { mode: 'all' }, { mode: 'range', from: '2025-01-01', to: '' }).b;
+    assert.equal(empty.totalGames, 0);
+    assert.equal(empty.prediction, null);
+});
+
+test('getTrendDominant: seri dianggap stabil', () => {
+    const analytics = createAnalytics([[20, 40], [40, 20]]);
+    assert.equal(analytics.getTrendDominant(), 'stabil');
+    assert.equal(new DiceAnalytics().getTrendDominant(), null);
+});
+
+test('buildTransitionMatrix menghitung Roll 2 → Roll 1 game berikutnya per sesi', () => {
+    const analytics = createAnalytics([[20, 40], [45, 10], [25, 30]]);
+    const matrix = analytics.buildTransitionMatrix();
+    assert.equal(matrix.HIGH.EXTREME, 1);
+    assert.equal(matrix.LOW.MID, 1);
+    assert.equal(Object.values(matrix).flatMap(Object.values).reduce((a, b) => a + b, 0), 2);
+
+    // Game dari sesi lain tidak membentuk transisi lintas sesi
+    analytics.games[1].sessionId = 2;
+    const split = analytics.buildTransitionMatrix();
+    assert.equal(split.HIGH.EXTREME, 0);
+    assert.equal(split.HIGH.MID, 1);
+});
+
+test('getSmoothedRow menandai sel yang jarang per sel, bukan per baris', () => {
+    const analytics = new DiceAnalytics({ markovSettings: { alpha: 0, minCount: 5 } });
+    const row = analytics.createCountRow();
+    row.counts.MID = 20;
+    row.counts.HIGH = 2;
+    row.total = 22;
+    const smoothed = analytics.getSmoothedRow(row);
+
+    assert.equal(smoothed.sparse, false);
+    assert.equal(smoothed.cells.MID.sparse, false);
+    assert.equal(smoothed.cells.HIGH.sparse, true);
+    assert.equal(smoothed.cells.MID.probability, 20 / 22);
+});
+
+test('predictNextOutcome butuh minimal 5 game', () => {
+    const analytics = createAnalytics(Array(4).fill([20, 20]));
+    assert.equal(analytics.predictNextOutcome().canPredict, false);
+});
+
+test('predictNextOutcome: hasil hybrid scoring profil Default', () => {
+    // Tren stabil → komponen tren ke BESAR (0.25 × 0.6 = 0.15)
+    // Semua state MID (porsi KECIL 1) → KECIL +0.30, transisi MID→MID → KECIL +0.25
+    // Rata-rata Roll 2 = 20, closeness = 1 - 10/24 → KECIL +0.20 × 0.5833
+    const analytics = createAnalytics(Array(5).fill([20, 20]));
+    const prediction = analytics.predictNextOutcome();
+
+    assert.equal(prediction.canPredict, true);
+    assert.equal(prediction.KECIL, 82);
+    assert.equal(prediction.BESAR, 18);
+    assert.equal(prediction.reasoning.lastState, 'MID');
+    assert.equal(prediction.reasoning.avgRoll2, 20);
+});
+
+test('predictNextOutcome: tiap bobot profil bekerja terpisah', () => {
+    const analytics = createAnalytics(Array(6).fill([40, 25]));
+    const profile = (weights) => ({
+        ...analytics.getDefaultProfile(),
+        name: 'Uji',
+        trendWeight: 0, stateWeight: 0, transitionWeight: 0, centerWeight: 0,
+        ...weights
+    });
+
+    // Tren turun → KECIL
+    assert.equal(analytics.predictNextOutcome(analytics.games, profile({ trendWeight: 1 })).KECIL, 100);
+    // Rata-rata Roll 2 di bawah center → KECIL
+    assert.equal(analytics.predictNextOutcome(analytics.games, profile({ centerWeight: 1 })).KECIL, 100);
+    // Rata-rata Roll 2 di atas center → BESAR
+    assert.equal(analytics.predictNextOutcome(analytics.games, profile({ centerWeight: 1, center: 20 })).BESAR, 100);
+    // Semua bobot 0 → tidak ada skor, hasil netral
+    assert.equal(analytics.predictNextOutcome(analytics.games, profile({})).KECIL, 50);
+});
+
+test('predictNextOutcome: persentase selalu berjumlah 100', () => {
+    const analytics = createAnalytics([[10, 50], [33, 17], [44, 29], [21, 38], [30, 31], [52, 8], [27, 27]]);
+    const prediction = analytics.predictNextOutcome();
+    assert.equal(prediction.KECIL + prediction.BESAR, 100);
+});
+
+test('validateProfile', () => {
+    const analytics = new DiceAnalytics();
+    const valid = { ...analytics.getDefaultProfile(), name: 'Agresif' };
+    assert.equal(analytics.validateProfile(valid), null);
+    assert.match(analytics.validateProfile({ ...valid, name: 'Default' }), /tidak bisa diubah/);
+    assert.match(analytics.validateProfile({ ...valid, trendWeight: -1 }), /negatif/);
+    assert.match(analytics.validateProfile({ ...valid, trendFactor: 2 }), /antara 0 dan 1/);
+});
+
+test('ekspor CSV bisa diimpor ulang tanpa kehilangan data', () => {
+    const analytics = createAnalytics([[20, 40], [45, 10], [25, 30]]);
+    const rows = analytics.parseImport(analytics.toCSV(analytics.games)).games;
+    const { games, errors, duplicates } = analytics.validateImportRows(rows, []);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(duplicates, []);
+    assert.deepEqual(games.map(g => [g.id, g.roll1, g.roll2, g.classification]),
+        analytics.games.map(g => [g.id, g.roll1, g.roll2, g.classification]));
+});
+
+test('id game baru tidak bertabrakan dengan id simulasi maupun id dari file impor', () => {
+    const analytics = createAnalytics([[20, 40]]);
+    // Id simulasi berurutan bisa melewati Date.now()
+    analytics.setGames([...analytics.games, ...analytics.simulateGames({ count: 500, seed: 1, sessionId: 1 })]);
+    const maxId = Math.max(...analytics.games.map(g => g.id));
+    assert.ok(analytics.createGame(20, 40).id > maxId);
+
+    const future = maxId + 1;
+    const { games, duplicates } = analytics.validateImportRows([
+        { roll1: 20, roll2: 40 },
+        { id: future, roll1: 25, roll2: 30 }
+    ], analytics.games.map(g => g.id));
+    assert.deepEqual(duplicates, []);
+    assert.equal(new Set([...analytics.games, ...games].map(g => g.id)).size, analytics.games.length + 2);
+});
+
+test('parseBulkEntry memecah pasangan dan menandai entri yang salah', () => {
+    const analytics = new DiceAnalytics();
+    const rows = analytics.parseBulkEntry('25 38, 19 44;\n 60 20\n7\n\n12 x, 6 54');
+
+    assert.deepEqual(rows.map(r => r.text), ['25 38', '19 44', '60 20', '7', '12 x', '6 54']);
+    assert.deepEqual(rows.filter(r => !r.error).map(r => [r.index, r.roll1, r.roll2]), [[1, 25, 38], [2, 19, 44], [6, 6, 54]]);
+    assert.match(rows[2].error, /6-54/);
+    assert.match(rows[3].error, /2 angka/);
+    assert.match(rows[4].error, /2 angka/);
+    assert.deepEqual(analytics.parseBulkEntry('  '), []);
+});
+
+test('serializeGame → deserializeGame menghitung ulang field turunan', () => {
+    const analytics = createAnalytics([[20, 40]]);
+    const faces = [1, 2, 3, 4, 5, 6, 1, 1, 1];
+    analytics.games[0] = analytics.createGame(24, 40, { id: 7, timestamp: new Date(2024, 0, 1), sessionId: 3, faces1: faces, faces2: null });
+
+    const record = JSON.parse(JSON.stringify(analytics.serializeGame(analytics.games[0])));
+    assert.equal(record.state1, undefined);
+    assert.equal(record.faces1, undefined);
+
+    const { game, error } = analytics.deserializeGame(record);
+    assert.equal(error, undefined);
+    assert.deepEqual(game, analytics.createGame(24, 40, { id: 7, timestamp: new Date(2024, 0, 1), sessionId: 3 }));
+});
+
+test('deserializeGame menolak record rusak', () => {
+    const analytics = new DiceAnalytics();
+    const valid = { id: 1, sessionId: 1, roll1: 20, roll2: 30, timestamp: '2024-01-01T00:00:00.000Z' };
+
+    assert.ok(analytics.deserializeGame(valid).game);
+    assert.equal(analytics.deserializeGame({ ...valid, sessionId: undefined }).game.sessionId, null);
+    assert.match(analytics.deserializeGame(null).error, /bukan objek/);
+    assert.match(analytics.deserializeGame({ ...valid, id: 'x' }).error, /id/);
+    assert.match(analytics.deserializeGame({ ...valid, roll2: 60 }).error, /roll/);
+    assert.match(analytics.deserializeGame({ ...valid, timestamp: 'kemarin' }).error, /timestamp/);
+    assert.match(analytics.deserializeGame({ ...valid, faces1: [6, 6, 6, 6, 6, 6, 6, 6, 6], faces2: [1, 1, 1, 1, 1, 1, 1, 1, 1] }).error, /dadu/);
+});
+
+test('getRollingMean memakai nilai yang tersedia di awal seri', () => {
+    const analytics = new DiceAnalytics();
+    assert.deepEqual(analytics.getRollingMean([10, 20, 30, 40], 2), [10, 15, 25, 35]);
+    assert.deepEqual(analytics.getRollingMean([6, 12], 10), [6, 9]);
+});
+
+test('getRoll2Histogram mencakup total 6-54 dengan ekspektasi n × P(total)', () => {
+    const analytics = createAnalytics([[20, 31], [45, 31], [25, 54]]);
+    const histogram = analytics.getRoll2Histogram();
+
+    assert.equal(histogram.length, 49);
+    assert.equal(histogram.find(b => b.total === 31).observed, 2);
+    assert.equal(histogram.find(b => b.total === 54).observed, 1);
+    assert.equal(histogram.find(b => b.total === 7).expected, 0);
+    assert.ok(Math.abs(histogram.reduce((sum, b) => sum + b.expected, 0) - 3) < 1e-9);
+});
+
+test('getRuns memecah urutan menjadi run berurutan', () => {
+    const analytics = new DiceAnalytics();
+    assert.deepEqual(analytics.getRuns(['K', 'K', 'B', 'K']).map(r => [r.value, r.length, r.start]),
+        [['K', 2, 0], ['B', 1, 2], ['K', 1, 3]]);
+    assert.deepEqual(analytics.getRuns([]), []);
+});
+
+test('getLongestRunProbability sama dengan enumerasi semua urutan', () => {
+    const analytics = new DiceAnalytics();
+    const p = 0.3;
+    for (let n = 1; n <= 8; n++) {
+        for (let length = 1; length <= n + 1; length++) {
+            let expected = 0;
+            for (let mask = 0; mask < (1 << n); mask++) {
+                const bits = Array.from({ length: n }, (_, i) => (mask >> i) & 1);
+                const longest = Math.max(0, ...analytics.getRuns(bits).filter(r => r.value === 1).map(r => r.length));
+                const ones = bits.filter(Boolean).length;
+                if (longest >= length) expected += Math.pow(p, ones) * Math.pow(1 - p, n - ones);
+            }
+            assert.ok(Math.abs(analytics.getLongestRunProbability(n, length, p) - expected) < 1e-12, `n=${n} length=${length}`);
+        }
+    }
+});
+
+test('runsTest menggabungkan run per sesi tanpa melewati batas sesi', () => {
+    // Digabung: K K K K B B B B = 2 run; per sesi masing-masing hanya satu simbol
+    assert.equal(new DiceAnalytics().runsTest([['K', 'K', 'K', 'K'], ['B', 'B', 'B', 'B']]).canTest, false);
+
+    const single = new DiceAnalytics().runsTest([['K', 'B', 'K', 'B', 'K', 'B']]);
+    const split = new DiceAnalytics().runsTest([['K', 'B', 'K'], ['B', 'K', 'B']]);
+    assert.equal(single.runs, 6);
+    assert.equal(split.runs, 6);
+    assert.equal(split.n, 6);
+    assert.equal(split.expected, 2 * (2 * 2 * 1 / 3 + 1));
+    assert.ok(split.pValue > 0 && split.pValue <= 1);
+});
+
+test('getRandomnessTests: autokorelasi Roll 2 dihitung per sesi', () => {
+    // Sesi 1 di sekitar 15, sesi 2 di sekitar 45: digabung terlihat autokorelasi kuat, per sesi tidak
+    const rolls = [...Array(20)].map((_, i) => [20, i % 2 === 0 ? 14 : 16])
+        .concat([...Array(20)].map((_, i) => [20, i % 2 === 0 ? 44 : 46]));
+    const analytics = createAnalytics(rolls);
+    analytics.games.slice(20).forEach(game => { game.sessionId = 2; });
+
+    const { roll2Autocorrelation } = analytics.getRandomnessTests();
+    assert.equal(roll2Autocorrelation.n, 40);
+    assert.ok(roll2Autocorrelation.lags[0].statistic < -0.9);
+
+    const merged = analytics.autocorrelationTests([analytics.games.map(g => g.roll2)]);
+    assert.ok(merged.lags[0].statistic > 0.8);
+});
+
+test('getStreakAnalysis: streak saat ini, terpanjang, dan batas sesi', () => {
+    // Roll 2: K K K B | (sesi 2) K K
+    const analytics = createAnalytics([[20, 20], [20, 20], [20, 20], [20, 40], [40, 20], [40, 20]]);
+    analytics.games[4].sessionId = 2;
+    analytics.games[5].sessionId = 2;
+    const byValue = Object.fromEntries(analytics.getStreakAnalysis().categories.map(c => [c.value, c]));
+
+    assert.equal(byValue.KECIL.current, 2);
+    assert.equal(byValue.KECIL.longest, 3);
+    assert.deepEqual(byValue.KECIL.distribution, { 2: 1, 3: 1 });
+    assert.equal(byValue.BESAR.current, 0);
+    assert.equal(byValue.BESAR.longest, 1);
+    assert.equal(byValue.KECIL.expectedMeanLength, 2);
+    assert.ok(byValue.KECIL.longestProbability > 0 && byValue.KECIL.longestProbability < 1);
+});
+
+test('getDieFairness: uji per dadu baru dijalankan mulai 30 lemparan', () => {
+    const faces = [1, 2, 3, 4, 5, 6, 1, 2, 3];
+    const build = count => {
+        const analytics = new DiceAnalytics();
+        analytics.setGames([...Array(count)].map((_, i) => analytics.createGame(27, 27, {
+            id: i + 1, timestamp: new Date(2024, 0, 1, 0, i), sessionId: 1, faces1: faces, faces2: faces
+        })));
+        return analytics.getDieFairness();
+    };
+
+    // 14 game = 28 lemparan per dadu
+    const few = build(14);
+    assert.equal(few.minThrows, 30);
+    assert.equal(few.dice[0].canTest, false);
+    assert.equal(few.dice[0].n, 28);
+    assert.equal(few.overall.canTest, true);
+
+    const enough = build(15);
+    assert.equal(enough.dice[0].canTest, true);
+    assert.equal(enough.dice[0].n, 30);
+});
+
+test('getChangeOps/applyGameOps: undo hanya menyentuh game milik perubahan itu', () => {
+    const analytics = createAnalytics([[20, 40], [25, 30]]);
+    const [first, second] = analytics.games;
+    const added = analytics.createGame(30, 30, { id: 10, timestamp: new Date(2024, 0, 1, 1), sessionId: 1 });
+    const change = { type: 'addBatch', games: [added] };
+
+    analytics.applyGameOps(analytics.getChangeOps(change, false));
+    // Game dari tab lain masuk di antara perubahan dan undo-nya
+    const remote = analytics.createGame(40, 20, { id: 11, timestamp: new Date(2024, 0, 1, 2), sessionId: 1 });
+    analytics.applyGameOps({ put: [remote] });
+    analytics.applyGameOps(analytics.getChangeOps(change, true));
+    assert.deepEqual(analytics.games.map(g => g.id), [1, 2, 11]);
+
+    // replace hanya menghasilkan game yang benar-benar berubah
+    const edited = analytics.createGame(45, 45, { id: 2, timestamp: second.timestamp, sessionId: 1 });
+    const ops = analytics.getChangeOps({ type: 'replace', before: [first, second], after: [edited] }, false);
+    assert.deepEqual(ops.put.map(g => g.id), [2]);
+    assert.deepEqual(ops.remove, [1]);
+    analytics.applyGameOps(ops);
+    assert.deepEqual(analytics.games.map(g => [g.id, g.roll1]), [[2, 45], [11, 40]]);
+});
+
+test('mergeStoredList: gabungan tiga arah per id', () => {
+    const analytics = new DiceAnalytics();
+    const base = analytics.snapshotList([
+        { id: 1, name: 'A' }, { id: 2, name: 'B' }, { id: 3, name: 'C' }, { id: 4, name: 'D' }
+    ]);
+    // Tab lain: ganti nama 2, hapus 3, tambah 5
+    const stored = [{ id: 1, name: 'A' }, { id: 2, name: 'B2' }, { id: 4, name: 'D' }, { id: 5, name: 'E' }];
+    // Tab ini: ganti nama 1, hapus 4, tambah 6; 2 dan 3 tidak disentuh
+    const local = [{ id: 1, name: 'A1' }, { id: 2, name: 'B' }, { id: 3, name: 'C' }, { id: 6, name: 'F' }];
+
+    assert.deepEqual(analytics.mergeStoredList(stored, base, local), [
+        { id: 1, name: 'A1' }, { id: 2, name: 'B2' }, { id: 5, name: 'E' }, { id: 6, name: 'F' }
+    ]);
+});
+
+test('scoreForecastLog: prakiraan yang sudah dinilai tetap terikat ke game penilainya', () => {
+    const analytics = createAnalytics([[20, 20], [20, 40], [20, 20]]);
+    const scheme = { threshold: 31 };
+    const entry = {
+        sessionIds: [1], afterGameId: 1, createdAt: new Date(2023, 0, 1),
+        settings: { scheme }, actual: null, actualGameId: null, scoredAt: null
+    };
+    const log = [entry];
+
+    assert.equal(analytics.scoreForecastLog(log, analytics.games), true);
+    assert.equal(entry.actualGameId, 2);
+    assert.equal(entry.actual, 'BESAR');
+
+    // Edit game penilai: hasil dibaca ulang dari game yang sama
+    const edited = analytics.games.map(g => g.id === 2 ? analytics.createGame(20, 25, { id: 2, timestamp: g.timestamp, sessionId: 1 }) : g);
+    analytics.scoreForecastLog(log, edited);
+    assert.equal(entry.actual, 'KECIL');
+
+    // Hapus game penilai: entri batal, tidak dinilai ulang dengan game 3
+    const deleted = analytics.games.filter(g => g.id !== 2);
+    assert.equal(analytics.scoreForecastLog(log, deleted), true);
+    assert.equal(entry.actual, null);
+    assert.equal(entry.voided, true);
+    assert.equal(entry.actualGameId, 2);
+    assert.equal(analytics.scoreForecastLog(log, deleted), false);
+
+    // Undo delete memulihkan nilainya
+    analytics.scoreForecastLog(log, analytics.games);
+    assert.equal(entry.voided, false);
+    assert.equal(entry.actual, 'BESAR');
+});
+
+test('runBacktest: walk-forward, skor, confusion matrix dan baseline dihitung manual', () => {
+    // Roll 2: K K B K → model frekuensi (Laplace) memprediksi 67%, 75%, 60% KECIL dari game sebelumnya saja
+    const analytics = createAnalytics([[20, 20], [20, 25], [20, 40], [20, 30]]);
+    const result = analytics.runBacktest(analytics.games, 'frequency');
+    const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+    assert.equal(result.steps, 3);
+    assert.deepEqual(result.confusion, { KECIL: { KECIL: 2, BESAR: 0 }, BESAR: { KECIL: 1, BESAR: 0 } });
+    near(result.model.hitRate, 2 / 3);
+    near(result.model.brier, (Math.pow(0.67 - 1, 2) + Math.pow(0.75, 2) + Math.pow(0.6 - 1, 2)) / 3);
+    near(result.model.logLoss, -(Math.log(0.67) + Math.log(0.25) + Math.log(0.6)) / 3);
+
+    const [alwaysKecil, coinFlip, theoretical] = result.baselines;
+    near(alwaysKecil.hitRate, 2 / 3);
+    near(alwaysKecil.brier, 1 / 3);
+    // Probabilitas 0/1 dijepit ke 0.001/0.999 agar log loss terhingga
+    near(alwaysKecil.logLoss, -(2 * Math.log(0.999) + Math.log(0.001)) / 3);
+    near(coinFlip.hitRate, 0.5);
+    near(coinFlip.brier, 0.25);
+    near(coinFlip.logLoss, Math.log(2));
+    // P(KECIL) teoretis 9d6 tepat 50%: dihitung setengah hit
+    near(theoretical.hitRate, 0.5);
+    near(theoretical.brier, 0.25);
+
+    assert.equal(analytics.runBacktest(analytics.games.slice(0, 1), 'frequency'), null);
+});
+
+test('getSumDistribution 9d6: total peluang 1 dan nilai eksak', () => {
+    const analytics = new DiceAnalytics();
+    const distribution = analytics.getSumDistribution();
+    const total = Object.values(distribution).reduce((a, b) => a + b, 0);
+    assert.ok(Math.abs(total - 1) < 1e-12);
+    // 767394 dari 6^9 kombinasi berjumlah 31; 9 hanya bisa dari sembilan angka 1
+    assert.ok(Math.abs(distribution[31] - 767394 / Math.pow(6, 9)) < 1e-15);
+    assert.ok(Math.abs(distribution[9] - 1 / Math.pow(6, 9)) < 1e-18);
+    assert.equal(distribution[8], undefined);
+    assert.equal(analytics.getTotalProbabilities()[8], 0);
+    // Simetris di sekitar 31.5, jadi P(total ≤ 31) tepat 1/2
+    assert.ok(Math.abs(analytics.getTheoreticalClassificationProbability().KECIL - 0.5) < 1e-12);
+});
+
+test('chiSquarePValue dan regularizedGammaQ terhadap nilai referensi', () => {
+    const analytics = new DiceAnalytics();
+    const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≠ ${expected}`);
+
+    // Nilai kritis α = 0.05 (jalur continued fraction)
+    near(analytics.chiSquarePValue(3.841, 1), 0.05, 1e-4);
+    near(analytics.chiSquarePValue(5.991, 2), 0.05, 1e-4);
+    near(analytics.chiSquarePValue(9.488, 4), Math.exp(-9.488 / 2) * (1 + 9.488 / 2));
+    // Jalur deret (x < a + 1): df genap punya bentuk tertutup e^(-x/2) Σ (x/2)^k / k!
+    const x = 3.94;
+    let closed = 0, term = 1;
+    for (let k = 0; k < 5; k++) {
+        closed += term;
+        term *= (x / 2) / (k + 1);
+    }
+    near(analytics.chiSquarePValue(x, 10), Math.exp(-x / 2) * closed);
+    near(analytics.regularizedGammaQ(1, 2.5), Math.exp(-2.5));
+    assert.equal(analytics.regularizedGammaQ(3, 0), 1);
+    assert.equal(analytics.chiSquarePValue(1, 0), null);
+});
+
+test('chiSquareGoodnessOfFit menggabung kategori bertetangga sampai expected ≥ 5', () => {
+    const analytics = new DiceAnalytics();
+    const categories = (observed, probabilities) => observed.map((o, i) => ({ label: String(i), observed: o, probability: probabilities[i] }));
+
+    // Expected 2, 2, 6, 10: tiga kategori pertama digabung
+    const front = analytics.chiSquareGoodnessOfFit(categories([3, 1, 6, 10], [0.1, 0.1, 0.3, 0.5]));
+    assert.deepEqual(front.bins.map(b => b.labels), [['0', '1', '2'], ['3']]);
+    assert.deepEqual(front.bins.map(b => [b.observed, b.expected]), [[10, 10], [10, 10]]);
+    assert.equal(front.df, 1);
+    assert.equal(front.statistic, 0);
+    assert.equal(front.pValue, 1);
+
+    // Expected 10, 6, 2, 2: sisa di akhir digabung ke bin terakhir
+    const back = analytics.chiSquareGoodnessOfFit(categories([14, 2, 2, 2], [0.5, 0.3, 0.1, 0.1]));
+    assert.deepEqual(back.bins.map(b => b.labels), [['0'], ['1', '2', '3']]);
+    assert.ok(Math.abs(back.statistic - (16 / 10 + 16 / 10)) < 1e-12);
+
+    // Kategori berpeluang 0 tidak ikut diuji, tetapi dilaporkan
+    const impossible = analytics.chiSquareGoodnessOfFit(categories([2, 10, 10], [0, 0.5, 0.5]));
+    assert.equal(impossible.impossible, 2);
+    assert.equal(impossible.n, 20);
+
+    assert.equal(analytics.chiSquareGoodnessOfFit(categories([3, 1], [0.5, 0.5])).canTest, false);
+});
+
+test('getRunsDistribution dan runsTest eksak untuk KBKBKBKBKB', () => {
+    const analytics = new DiceAnalytics();
+    const distribution = analytics.getRunsDistribution(5, 5);
+    const total = Object.values(distribution).reduce((a, b) => a + b, 0);
+    assert.ok(Math.abs(total - 1) < 1e-12);
+    // Dari C(10, 5) = 252 urutan, hanya 2 yang berselang-seling penuh (10 run) atau terbagi dua blok (2 run)
+    assert.ok(Math.abs(distribution[10] - 2 / 252) < 1e-12);
+    assert.ok(Math.abs(distribution[2] - 2 / 252) < 1e-12);
+
+    const result = analytics.runsTest(['KBKBKBKBKB'.split('')]);
+    assert.equal(result.method, 'eksak');
+    assert.equal(result.runs, 10);
+    assert.equal(result.expected, 6);
+    // Dua sisi: 2 × P(R ≥ 10)
+    assert.ok(Math.abs(result.pValue - 4 / 252) < 1e-12);
+});
+
+test('studentTTwoSidedPValue terhadap nilai referensi', () => {
+    const analytics = new DiceAnalytics();
+    // df = 1 (Cauchy): p = 1 - (2/π)·atan(|t|)
+    assert.ok(Math.abs(analytics.studentTTwoSidedPValue(1, 1) - 0.5) < 1e-9);
+    assert.ok(Math.abs(analytics.studentTTwoSidedPValue(12.706, 1) - (1 - 2 / Math.PI * Math.atan(12.706))) < 1e-9);
+    // Nilai kritis tabel t: α = 0.05 dua sisi
+    assert.ok(Math.abs(analytics.studentTTwoSidedPValue(2.228, 10) - 0.05) < 1e-4);
+    assert.ok(Math.abs(analytics.studentTTwoSidedPValue(-2.228, 10) - 0.05) < 1e-4);
+    assert.equal(analytics.studentTTwoSidedPValue(0, 10), 1);
+    // Normal: z = 1.96 → 0.05
+    assert.ok(Math.abs(analytics.normalTwoSidedPValue(1.96) - 0.04999579) < 1e-7);
+});
+
+test('toJSON hanya mengekspor sesi nyata yang dipakai game yang diekspor', () => {
+    const analytics = createAnalytics([[20, 40], [25, 30]]);
+    analytics.sessions = [
+        { id: 1, name: 'Utama', archived: false },
+        { id: 2, name: 'Kosong', archived: false },
+        { id: 3, name: 'Simulasi 1', archived: false, simulated: true, simulation: { mode: 'fair', seed: 1 } }
+    ];
+    // Game simulasi sudah disaring pemanggil (exportData)
+    const exported = JSON.parse(analytics.toJSON(analytics.games));
+    assert.deepEqual(exported.sessions.map(s => s.id), [1]);
+    assert.equal(exported.games.length, 2);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DiceAnalytics } = require('../analytics.js');
+const { parseArgs, buildReport, formatText } = require('../cli.js');
+
+const csv = [
+    'roll1,roll2',
+    '20,40',
+    '45,10',
+    '25,30',
+    '33,17',
+    '44,29',
+    '99,20'
+].join('\n');
+
+test('parseArgs', () => {
+    assert.deepEqual(parseArgs(['histori.csv', '--json', '--order', '2']), {
+        file: 'histori.csv',
+        json: true,
+        markovSettings: { order: 2 }
+    });
+    assert.throws(() => parseArgs([]), /wajib diisi/);
+    assert.throws(() => parseArgs(['a.csv', '--order', '4']), /--order/);
+    assert.throws(() => parseArgs(['a.csv', '--verbose']), /tidak dikenal/);
+    assert.deepEqual(parseArgs(['a.csv', '--last', '50']).window, { mode: 'last', count: 50 });
+    assert.deepEqual(parseArgs(['a.csv', '--from', '2024-01-01', '--to', '2024-01-31']).window, { mode: 'range', from: '2024-01-01', to: '2024-01-31' });
+    assert.throws(() => parseArgs(['a.csv', '--last', '0']), /--last/);
+    assert.throws(() => parseArgs(['a.csv', '--last', '5', '--to', '2024-01-01']), /tidak bisa digabung/);
+    assert.throws(() => parseArgs(['a.csv', '--from', '2024-02-01', '--to', '2024-01-01']), /--from\/--to/);
+    assert.throws(() => parseArgs(['a.csv', '--last']), /--last butuh nilai/);
+    assert.throws(() => parseArgs(['a.csv', '--from']), /--from butuh nilai/);
+    assert.throws(() => parseArgs(['a.csv', '--to', '--json']), /--to butuh nilai/);
+    // Bahasa dibaca lebih dulu, di posisi mana pun
+    assert.throws(() => parseArgs(['h.csv', '--lang', 'en', '--last']), /^Error: --last needs a value$/);
+    assert.throws(() => parseArgs(['--verbose', '--lang', 'en']), /Unknown option: --verbose/);
+    assert.throws(() => parseArgs(['--lang', 'en']), /history file/);
+});
+
+test('buildReport dari CSV tanpa header skema', () => {
+    const report = buildReport(new DiceAnalytics(), csv);
+
+    assert.equal(report.summary.totalGames, 5);
+    assert.equal(report.skipped.errors.length, 1);
+    assert.equal(report.transitionMatrix.HIGH.EXTREME, 1);
+    assert.deepEqual(report.predictions.map(p => p.id), ['hybrid', 'frequency', 'markov', 'theoretical']);
+    assert.ok(report.predictions.every(p => p.canPredict && p.KECIL + p.BESAR === 100));
+});
+
+test('formatText memuat semua bagian laporan', () => {
+    const analytics = new DiceAnalytics();
+    const text = formatText(buildReport(analytics, csv), analytics);
+
+    assert.match(text, /=== RINGKASAN ===/);
+    assert.match(text, /Total game {5}: 5/);
+    assert.match(text, /=== MATRIKS TRANSISI/);
+    assert.match(text, /Hybrid Scoring +KECIL +\d+% +BESAR +\d+%/);
+    assert.match(text, /Dilewati: 1 baris tidak valid/);
+});
+
+test('buildReport hanya memakai game di jendela analisis', () => {
+    const analytics = new DiceAnalytics({ analysisWindow: { mode: 'last', count: 2 } });
+    const report = buildReport(analytics, csv);
+
+    assert.equal(report.summary.totalGames, 2);
+    assert.equal(report.classification.KECIL + report.classification.BESAR, 2);
+    assert.match(formatText(report, analytics), /\(2 game terakhir\)/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DiceI18n, MESSAGES } = require('../i18n.js');
+const { DiceAnalytics } = require('../analytics.js');
+const { buildReport, formatText } = require('../cli.js');
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+test('katalog id dan en memuat kunci dan placeholder yang sama', () => {
+    assert.deepEqual(Object.keys(MESSAGES.en).sort(), Object.keys(MESSAGES.id).sort());
+    Object.keys(MESSAGES.id).forEach(key => {
+        assert.deepEqual(placeholders(MESSAGES.en[key]), placeholders(MESSAGES.id[key]), key);
+    });
+});
+
+test('semua kunci yang dipakai kode dan index.html ada di katalog', () => {
+    const root = path.join(__dirname, '..');
+    const used = new Set();
+    ['analytics.js', 'script.js', 'cli.js', 'storage.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(root, file), 'utf8');
+        for (const match of source.matchAll(/\bt\('([\w.]+)'/g)) used.add(match[1]);
+    });
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    for (const match of html.matchAll(/data-i18n(?:-[\w-]+)?="([\w.]+)"/g)) used.add(match[1]);
+
+    // Kunci dinamis: kode netral yang diterjemahkan lewat formatClassification/formatDirection/simulasi
+    ['KECIL', 'BESAR'].forEach(c => used.add(`class.${c}`));
+    ['naik', 'turun', 'stabil'].forEach(d => { used.add(`trend.${d}`); used.add(`trend.dominant.${d}`); });
+    ['fair', 'biased', 'sticky'].forEach(mode => used.add(`sim.expectation.${mode}`));
+
+    const missing = [...used].filter(key => !(key in MESSAGES.id));
+    assert.deepEqual(missing, []);
+});
+
+test('t: placeholder, fallback ke Indonesia, dan locale tidak dikenal', () => {
+    const i18n = new DiceI18n('en');
+    assert.equal(i18n.t('common.games', { count: 3 }), '3 games');
+    assert.equal(i18n.t('kunci.tidak.ada'), 'kunci.tidak.ada');
+
+    MESSAGES.id['tes.hanyaId'] = 'Halo {nama}';
+    assert.equal(i18n.t('tes.hanyaId', { nama: 'Budi' }), 'Halo Budi');
+    delete MESSAGES.id['tes.hanyaId'];
+
+    assert.equal(new DiceI18n('fr').locale, 'id');
+    assert.equal(i18n.setLocale('id'), 'id');
+    assert.equal(i18n.t('class.KECIL'), 'KECIL');
+});
+
+test('ganti bahasa hanya mengubah tampilan, bukan kode yang disimpan', () => {
+    const i18n = new DiceI18n('en');
+    const analytics = new DiceAnalytics({ i18n });
+    const game = analytics.createGame(20, 40, { id: 1, timestamp: new Date(2024, 0, 1), sessionId: 1 });
+
+    assert.equal(game.classification, 'BESAR');
+    assert.equal(game.trend.direction, 'naik');
+    assert.equal(analytics.formatClassification(game.classification), 'BIG');
+    assert.equal(analytics.formatTrendDominant('naik'), 'Up ↑');
+    assert.equal(analytics.getPredictor('markov').name, 'Markov (State Transition)');
+
+    i18n.setLocale('id');
+    assert.equal(analytics.getPredictor('markov').name, 'Markov (Transisi State)');
+});
+
+test('laporan CLI dalam bahasa Inggris', () => {
+    const analytics = new DiceAnalytics({ i18n: new DiceI18n('en') });
+    const text = formatText(buildReport(analytics, 'roll1,roll2\n20,40\n45,10\n25,30\n33,17\n44,29'), analytics);
+
+    assert.match(text, /=== SUMMARY ===/);
+    assert.match(text, /Total games {4}: 5/);
+    assert.match(text, /Hybrid Scoring +SMALL +\d+% +BIG +\d+%/);
+});